@@ -45,8 +45,8 @@ describe('e2e', () => {
                     name: "rendition.png",
                     url: "https://presigned-target-url",
                     fmt: "png",
-                    width: 200,
-                    height: 200
+                    wid: 200,
+                    hei: 200
                 }
             ]
         );
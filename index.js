@@ -14,14 +14,45 @@
 
 const { AssetCompute } = require("./lib/assetcompute");
 const { AssetComputeEventEmitter } = require("./lib/eventemitter");
+const { AssetComputeWebhookEventEmitter } = require("./lib/webhook");
 const { AssetComputeClient } = require("./lib/client");
 const { getIntegrationConfiguration } = require('./lib/integrationConfiguration');
-const { TooManyRequestsError } = require('./lib/error');
+const {
+    AssetComputeHttpError,
+    AuthenticationError,
+    ValidationError,
+    ServiceUnavailableError,
+    TooManyRequestsError,
+    AbortError,
+    RenditionsFailedError,
+    TimeoutError
+} = require('./lib/error');
+const { MemoryTokenCache, FileTokenCache } = require('./lib/tokencache');
+const { validateRenditions } = require('./lib/validate');
+const { MemoryCheckpointStore, FileCheckpointStore } = require('./lib/checkpoint');
+const { MemoryRequestStore, FileRequestStore } = require('./lib/requeststore');
+const { BackpressureGate } = require('./lib/backpressure');
 
 module.exports = {
     AssetCompute,
     AssetComputeEventEmitter,
+    AssetComputeWebhookEventEmitter,
     AssetComputeClient,
     getIntegrationConfiguration,
-    TooManyRequestsError
+    AssetComputeHttpError,
+    AuthenticationError,
+    ValidationError,
+    ServiceUnavailableError,
+    TooManyRequestsError,
+    AbortError,
+    RenditionsFailedError,
+    TimeoutError,
+    MemoryTokenCache,
+    FileTokenCache,
+    MemoryCheckpointStore,
+    FileCheckpointStore,
+    MemoryRequestStore,
+    FileRequestStore,
+    BackpressureGate,
+    validateRenditions
 };
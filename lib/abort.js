@@ -0,0 +1,151 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const fetch = require("@adobe/node-fetch-retry");
+const { AbortError } = require("./error");
+
+/**
+ * Throw if the signal has been aborted
+ *
+ * @param {AbortSignal} [signal] Abort signal
+ * @throws {AbortError} if the signal has been aborted
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw new AbortError();
+    }
+}
+
+/**
+ * Wait for some time, unless the signal is aborted first
+ *
+ * @param {Number} ms Time to wait in milliseconds
+ * @param {AbortSignal} [signal] Abort signal
+ * @returns {Promise} resolves after the time, rejects with an `AbortError` if the signal is aborted
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            return reject(new AbortError());
+        }
+        // eslint-disable-next-line prefer-const
+        let timer;
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new AbortError());
+        };
+        timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener("abort", onAbort);
+        }
+    });
+}
+
+// default of node-fetch-retry: retry on network errors and socket timeouts
+function isRetryableFetchError(error) {
+    return (error.name === "FetchError" && error.type === "system") || error.name === "AbortError";
+}
+
+/**
+ * Stop node-fetch-retry from retrying once the signal is aborted
+ */
+function abortableRetryOptions(retryOptions, signal) {
+    if (retryOptions === false) {
+        return false;
+    }
+    const options = (typeof retryOptions === "object" && retryOptions) || {};
+    const retryOnHttpError = options.retryOnHttpError || isRetryableFetchError;
+    const retryOnHttpResponse = options.retryOnHttpResponse || (response => response.status >= 500);
+    return {
+        ...options,
+        retryOnHttpError: error => !signal.aborted && retryOnHttpError(error),
+        retryOnHttpResponse: response => !signal.aborted && retryOnHttpResponse(response)
+    };
+}
+
+/**
+ * Fetch using `@adobe/node-fetch-retry` that can be cancelled with an `AbortSignal`.
+ *
+ * node-fetch-retry replaces `options.signal` on every attempt with its own signal implementing
+ * the socket timeout, so the caller's signal cannot be passed through. Instead, each attempt gets
+ * a signal that aborts when either of them does.
+ *
+ * @param {String} url Request url
+ * @param {Object} options Fetch options, including `retryOptions`
+ * @param {AbortSignal} [signal] Aborts the request and any pending retries
+ * @returns {Promise<Response>} response
+ * @throws {AbortError} if the signal was aborted
+ */
+async function abortableFetch(url, options, signal) {
+    if (!signal) {
+        return fetch(url, options);
+    }
+    throwIfAborted(signal);
+
+    let attemptSignal = signal;
+    let unlink = () => {};
+    const fetchOptions = {
+        ...options,
+        retryOptions: abortableRetryOptions(options.retryOptions, signal)
+    };
+    Object.defineProperty(fetchOptions, "signal", {
+        enumerable: true,
+        get: () => attemptSignal,
+        set: timeoutSignal => {
+            unlink();
+            // not a global before Node.js 15
+            const { AbortController } = global;
+            if (!timeoutSignal || !AbortController) {
+                // cannot combine signals, the caller's signal takes precedence over the socket timeout
+                attemptSignal = signal;
+                unlink = () => {};
+                return;
+            }
+            const controller = new AbortController();
+            const abort = () => controller.abort();
+            signal.addEventListener("abort", abort);
+            timeoutSignal.addEventListener("abort", abort);
+            unlink = () => {
+                signal.removeEventListener("abort", abort);
+                timeoutSignal.removeEventListener("abort", abort);
+            };
+            if (signal.aborted || timeoutSignal.aborted) {
+                abort();
+            }
+            attemptSignal = controller.signal;
+        }
+    });
+
+    try {
+        return await fetch(url, fetchOptions);
+    } catch (error) {
+        if (signal.aborted) {
+            throw new AbortError();
+        }
+        throw error;
+    } finally {
+        unlink();
+    }
+}
+
+module.exports = {
+    throwIfAborted,
+    sleep,
+    abortableFetch
+};
@@ -0,0 +1,64 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * @typedef {Object} AccessTokenProviderOptions
+ * @property {Boolean} [forceRefresh=false] True if the previously returned access token was rejected
+ */
+/**
+ * Async function returning an access token. Called for every access token needed,
+ * so it should cache tokens itself.
+ *
+ * @callback AccessTokenProviderFunction
+ * @param {AccessTokenProviderOptions} [options] Options
+ * @returns {Promise<String>} access token
+ */
+/**
+ * @typedef {Object} AccessTokenProvider
+ * @property {AccessTokenProviderFunction} getAccessToken Returns an access token
+ */
+
+/**
+ * Normalize an access token provider to a function
+ *
+ * @param {AccessTokenProvider|AccessTokenProviderFunction} provider Access token provider
+ * @returns {AccessTokenProviderFunction} async function returning an access token
+ */
+function getAccessTokenProvider(provider) {
+    if (typeof provider === "function") {
+        return provider;
+    } else if (provider && typeof provider.getAccessToken === "function") {
+        return options => provider.getAccessToken(options);
+    }
+    throw Error("accessTokenProvider must be a function or an object with a getAccessToken() function");
+}
+
+/**
+ * Get the access token to use for a request, either from the `accessTokenProvider`
+ * or the static `accessToken`
+ *
+ * @param {Object} options Options with `accessTokenProvider` or `accessToken`
+ * @returns {Promise<String>} access token
+ */
+async function resolveAccessToken(options) {
+    if (options.accessTokenProvider) {
+        return options.accessTokenProvider();
+    }
+    return options.accessToken;
+}
+
+module.exports = {
+    getAccessTokenProvider,
+    resolveAccessToken
+};
@@ -12,10 +12,16 @@
 
 "use strict";
 
-const fetch = require("@adobe/node-fetch-retry");
-const { TooManyRequestsError } = require('./error');
+const { createHttpError, parseRateLimitHeaders } = require('./error');
 const ASSET_COMPUTE_PROD_URL = "https://asset-compute.adobe.io";
 const { retry } = require("./retry");
+const { getAccessTokenProvider, resolveAccessToken } = require("./accesstoken");
+const { assertValidRenditions } = require("./validate");
+const { abortableFetch } = require("./abort");
+const { BackpressureGate } = require("./backpressure");
+const { getRetryPolicy, getFetchRetryOptions } = require("./retrypolicy");
+const { createLogger } = require("./logger");
+const { createTelemetry } = require("./telemetry");
 const clone = require('clone');
 
 /**
@@ -25,6 +31,11 @@ const clone = require('clone');
  * @property {Number} size File size. Takes precedence over content-length header of the binary resource.
  * @property {String} mimetype Mime type. Takes precedence over the content-type header of the binary resource.
  */
+/**
+ * @typedef {Object} AssetComputeRequestOptions
+ * @property {AbortSignal} [signal] Cancels the request and any pending retries, rejecting with an `AbortError`
+ * @property {Boolean} [disable429Retry=false] Do not retry this request on 429, e.g. if the caller retries it
+ */
 /**
  * @typedef {Object} AssetComputeTarget
  * @property {String[]} urls array of strings, one for each pre-signed part URL
@@ -50,17 +61,31 @@ const clone = require('clone');
  * @property {Number|AssetComputeDpi} dpi X and Y dpi to set, a single number will set both X and Y dpi to the same value
  * @property {Number|AssetComputeDpi} convertToDpi X and Y dpi to resample to while maintaining physical size, a single number will set both X and Y dpi to the same value
  * @property {String} worker (advanced) use instead of `fmt` to reference a custom worker
+ * @property {String|Number} [id] Identifier chosen by the caller to match the rendition events, only supported by
+ *                                `AssetComputeClient`. It is removed before the renditions are sent to Asset Compute.
  */
 class AssetCompute {
 
     /**
      * @typedef {Object} AssetComputeOptions
-     * @property {String} accessToken JWT access token
+     * @property {String} accessToken JWT access token (either this or `accessTokenProvider` is required)
+     * @property {AccessTokenProvider|AccessTokenProviderFunction} [accessTokenProvider=] Called for the access token of every request
      * @property {String} org IMS organization
      * @property {String} apiKey API key used to communicate with Asset Compute
      * @property {String} [url=] Asset Compute url (defaults to https://asset-compute.adobe.io)
      * @property {Number} [interval=] Override interval at which to poll I/O events
      * @property {Object} [retryOptions=] Fetch retry options for `@adobe/node-fetch-retry` See README.md for more information
+     * @property {RetryPolicy} [retryPolicy=] Retry policy for 429, 5xx and network errors, replaces the retries
+     *                                       of `@adobe/node-fetch-retry` and the 429 retry options
+     * @property {function(RetryInfo)} [onRetry=] Called before waiting to retry a failed request, instead of logging a warning
+     * @property {function(GiveUpInfo)} [onGiveUp=] Called when a retryable failure is not retried anymore
+     * @property {Logger} [logger=] Logger called like pino with `(fields, message)`, defaults to the console
+     * @property {String} [logLevel="info"] Minimum level logged: `debug`, `info`, `warn`, `error` or `silent`
+     * @property {Boolean} [validateRenditions=true] Validate renditions before calling /process, set to false to disable
+     * @property {BackpressureGate} [backpressure=] Holds all requests after a 429 response, pass the same gate to
+     *                                             share it between instances
+     * @property {Boolean|AssetComputeTelemetryOptions} [telemetry=true] OpenTelemetry tracer and meter providers,
+     *                                             `false` to disable. Only used if `@opentelemetry/api` is installed.
      */
     /**
      * Construct Asset Compute client
@@ -69,6 +94,9 @@ class AssetCompute {
      */
     constructor(options) {
         this.accessToken = options.accessToken;
+        if (options.accessTokenProvider) {
+            this.accessTokenProvider = getAccessTokenProvider(options.accessTokenProvider);
+        }
         this.org = options.org;
         this.apiKey = options.apiKey;
         this.url = options.url || ASSET_COMPUTE_PROD_URL;
@@ -78,69 +106,95 @@ class AssetCompute {
         // custom retry options for 429 retry logic
         this.max429RetryCount = options.max429RetryCount;
         this.disable429Retry = options.disable429Retry;
+        // retries all failures if set, instead of node-fetch-retry
+        this.retryPolicy = options.retryPolicy;
+        if (this.retryPolicy) {
+            // fail early on an invalid policy
+            getRetryPolicy(this);
+        }
+        this.validateRenditions = options.validateRenditions !== false;
+        this.onRetry = options.onRetry;
+        this.onGiveUp = options.onGiveUp;
+        this.logger = createLogger(options.logger, options.logLevel);
+        // shared by all calls, so it must not be copied with the options passed to `retry`
+        Object.defineProperty(this, "backpressure", {
+            value: options.backpressure || new BackpressureGate()
+        });
+        Object.defineProperty(this, "telemetry", {
+            value: createTelemetry(options.telemetry)
+        });
     }
 
     /**
      * @typedef {Object} AssetComputeRegisterResponse
      *
      * @property {String} journal Journal URL to use with AssetComputeEventEmitter
+     * @property {RateLimit} [rateLimit] Rate limit headers of the response, if any
      */
     /**
      * Register I/O events and journal
      *
+     * @param {AssetComputeRequestOptions} [options] Request options
      * @returns {AssetComputeRegisterResponse} Journal url
      */
-    async register() {
+    async register(options={}) {
+        const { signal } = options;
         return retry(async(self) => {
-            const response = await fetch(`${self.url}/register`, {
+            const response = await abortableFetch(`${self.url}/register`, {
                 method: "POST",
                 headers: {
-                    authorization: `Bearer ${self.accessToken}`,
+                    authorization: `Bearer ${await resolveAccessToken(self)}`,
                     "x-gw-ims-org-id": self.org,
                     "x-ims-org-id": self.org,
                     "x-api-key": self.apiKey
                 },
-                retryOptions: self.retryOptions
-            });
+                retryOptions: getFetchRetryOptions(self)
+            }, signal);
+            const rateLimit = checkRateLimit(this, response);
             if (!response.ok) {
                 const responseText = await response.text();
                 const message = `Unable to invoke /register: ${response.status} ${responseText}`;
-                handleHttpResponseNotOk(response, message);
+                handleHttpResponseNotOk(response, message, responseText, "/register", rateLimit);
             } else {
-                return response.json();
+                return handleHttpResponseOk(this, response, "/register", rateLimit);
             }
-        }, clone(this)); // to avoid `retry` changing `this`
+        }, clone(this), getRetryContext(this, "/register", signal)); // to avoid `retry` changing `this`
     }
 
     /**
      * Unregister I/O events and journal
+     *
+     * @param {AssetComputeRequestOptions} [options] Request options
      */
-    async unregister() {
+    async unregister(options={}) {
+        const { signal } = options;
         return retry(async(self) => {
-            const response = await fetch(`${self.url}/unregister`, {
+            const response = await abortableFetch(`${self.url}/unregister`, {
                 method: "POST",
                 headers: {
-                    authorization: `Bearer ${self.accessToken}`,
+                    authorization: `Bearer ${await resolveAccessToken(self)}`,
                     "x-gw-ims-org-id": self.org,
                     "x-ims-org-id": self.org,
                     "x-api-key": self.apiKey
                 },
-                retryOptions: self.retryOptions
-            });
+                retryOptions: getFetchRetryOptions(self)
+            }, signal);
+            const rateLimit = checkRateLimit(this, response);
             if (!response.ok) {
                 const responseText = await response.text();
                 const message = `Unable to invoke /unregister: ${response.status}: ${responseText} (details: ${JSON.stringify(response)})`;
-                handleHttpResponseNotOk(response, message);
+                handleHttpResponseNotOk(response, message, responseText, "/unregister", rateLimit);
             } else {
-                return response.json();
+                return handleHttpResponseOk(this, response, "/unregister", rateLimit);
             }
-        }, clone(this)); // to avoid `retry` changing `this`
+        }, clone(this), getRetryContext(this, "/unregister", signal)); // to avoid `retry` changing `this`
     }
 
     /**
      * @typedef {Object} AssetComputeProcessResponse
      *
      * @property {String} activationId Activation Identifier
+     * @property {RateLimit} [rateLimit] Rate limit headers of the response, if any
      */
     /**
      * Asynchronously process an asset. The result is returned as an event
@@ -150,20 +204,28 @@ class AssetCompute {
      * @param {AssetComputeRendition[]} renditions Requested renditions
      * @param {Object} userData User data associated with the request
      * @param {Object} headers Headers for the request
+     * @param {AssetComputeRequestOptions} [requestOptions] Request options
      * @returns {AssetComputeProcessResponse} Response with the activation id
+     * @throws {ValidationError} if renditions are invalid and `validateRenditions` is enabled
      */
-    async process(source, renditions, userData, headers) {
+    async process(source, renditions, userData, headers, requestOptions={}) {
+        if (this.validateRenditions) {
+            assertValidRenditions(Array.isArray(source) ? source : renditions);
+        }
+
         const options = {
-            source,
-            renditions,
+            source: Array.isArray(source) ? withoutRenditionIds(source) : source,
+            renditions: Array.isArray(renditions) ? withoutRenditionIds(renditions) : renditions,
             userData,
             url: this.url,
             accessToken: this.accessToken,
+            accessTokenProvider: this.accessTokenProvider,
             org: this.org,
             apiKey: this.apiKey,
             retryOptions: this.retryOptions,
             max429RetryCount: this.max429RetryCount,
-            disable429Retry: this.disable429Retry,
+            disable429Retry: requestOptions.disable429Retry || this.disable429Retry,
+            retryPolicy: this.retryPolicy,
             headers
         };
 
@@ -173,11 +235,11 @@ class AssetCompute {
                 renditions = source;
                 source = undefined;
             }
-            const response = await fetch(`${options.url}/process`, {
+            const response = await abortableFetch(`${options.url}/process`, {
                 method: "POST",
                 headers: {
                     ...options.headers,
-                    authorization: `Bearer ${options.accessToken}`,
+                    authorization: `Bearer ${await resolveAccessToken(options)}`,
                     "x-gw-ims-org-id": options.org,
                     "x-ims-org-id": options.org,
                     "x-api-key": options.apiKey,
@@ -188,30 +250,101 @@ class AssetCompute {
                     renditions: options.renditions,
                     userData: options.userData
                 }),
-                retryOptions: options.retryOptions
-            });
+                retryOptions: getFetchRetryOptions(options)
+            }, requestOptions.signal);
+            const rateLimit = checkRateLimit(this, response);
             if (!response.ok) {
                 const responseText = await response.text();
                 const message = `Unable to invoke /process: ${response.status} ${responseText}`;
-                handleHttpResponseNotOk(response, message);
+                handleHttpResponseNotOk(response, message, responseText, "/process", rateLimit);
             } else {
-                return response.json();
+                return handleHttpResponseOk(this, response, "/process", rateLimit);
             }
-        }, options);
+        }, options, getRetryContext(this, "/process", requestOptions.signal, {
+            "asset_compute.rendition_count": (Array.isArray(source) ? source : renditions || []).length
+        }));
     }
 
 }
+/**
+ * Remove the `id` of the renditions, which Asset Compute does not know
+ */
+function withoutRenditionIds(renditions) {
+    return renditions.map(rendition => {
+        if (!rendition || rendition.id === undefined) {
+            return rendition;
+        }
+        const { id, ...instructions } = rendition; // eslint-disable-line no-unused-vars
+        return instructions;
+    });
+}
+
+/**
+ * Signal, backpressure, hooks and telemetry for `retry`
+ */
+function getRetryContext(assetCompute, endpoint, signal, attributes) {
+    return {
+        signal,
+        backpressure: assetCompute.backpressure,
+        endpoint,
+        onRetry: assetCompute.onRetry,
+        onGiveUp: assetCompute.onGiveUp,
+        logger: assetCompute.logger,
+        telemetry: assetCompute.telemetry,
+        attributes
+    };
+}
+
+/**
+ * Read the rate limit headers of a response, slowing down all requests if few requests remain
+ */
+function checkRateLimit(assetCompute, response) {
+    const rateLimit = parseRateLimitHeaders(response.headers);
+    if (rateLimit) {
+        assetCompute.backpressure.update(rateLimit);
+    }
+    return rateLimit;
+}
+
+/**
+ * Parse a successful response, adding the rate limit headers
+ */
+async function handleHttpResponseOk(assetCompute, response, endpoint, rateLimit) {
+    const body = await response.json();
+    if (rateLimit && body && typeof body === "object") {
+        body.rateLimit = rateLimit;
+    }
+    assetCompute.logger.debug({
+        endpoint,
+        status: response.status,
+        requestId: (body && body.requestId) || undefined,
+        rateLimit
+    }, `Invoked ${endpoint}`);
+    return body;
+}
+
 /**
      * Small helper function to handle HTTP response not OK
      * @param {*} response http response
      * @param {*} errorMessage error message to throw
+     * @param {String} responseText response body
+     * @param {String} endpoint Asset Compute endpoint, such as `/process`
+     * @param {RateLimit} [rateLimit] Rate limit headers of the response
      */
-function handleHttpResponseNotOk(response, errorMessage) {
-    if (response.status === 429) {
-        throw new TooManyRequestsError(errorMessage, response.headers.get('retry-after'));
-
+function handleHttpResponseNotOk(response, errorMessage, responseText, endpoint, rateLimit) {
+    let body = responseText;
+    try {
+        body = JSON.parse(responseText);
+    } catch (e) { // eslint-disable-line no-unused-vars
+        // keep plain text body
     }
-    throw new Error(errorMessage);
+    throw createHttpError(errorMessage, {
+        status: response.status,
+        body,
+        endpoint,
+        requestId: response.headers.get('x-request-id') || (body && body.requestId) || undefined,
+        rateLimit
+    }, response.headers.get('retry-after'));
 }
 
 module.exports = {
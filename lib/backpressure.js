@@ -0,0 +1,142 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const EventEmitter = require("events");
+const { sleep } = require("./abort");
+
+// slow down once less than this share of the rate limit remains
+const LOW_REMAINING_RATIO = 0.1;
+
+async function waitUnthrottled(gate, signal) {
+    while (gate.throttled) {
+        await sleep(gate.until - Date.now(), signal);
+    }
+}
+
+/**
+ * Event emitted when requests start being held after a 429 response
+ *
+ * @event BackpressureGate#throttled
+ * @type {object}
+ * @property {Number} until Time requests are held until, in milliseconds since epoch
+ * @property {Number} retryAfter `retry-after` of the 429 response in milliseconds
+ */
+/**
+ * Event emitted when requests are no longer held
+ *
+ * @event BackpressureGate#unthrottled
+ */
+/**
+ * Holds new requests after a 429 response until its `retry-after` time has passed,
+ * so parallel requests do not keep hitting the rate limit. Requests are also paced
+ * when the rate limit headers of a response show that few requests remain.
+ *
+ * Every `AssetCompute` instance has its own gate. Pass the same gate as `backpressure` option
+ * to share it between instances.
+ *
+ * @fires BackpressureGate#throttled
+ * @fires BackpressureGate#unthrottled
+ */
+class BackpressureGate extends EventEmitter {
+
+    constructor() {
+        super();
+        this.until = 0;
+        // pacing while few requests remain: time between starts, next free start and end of the window
+        this.interval = 0;
+        this.nextSlot = 0;
+        this.paceUntil = 0;
+    }
+
+    /**
+     * @returns {Boolean} true while requests are held
+     */
+    get throttled() {
+        return Date.now() < this.until;
+    }
+
+    /**
+     * Hold requests for some time. The longest time wins if requests are already held.
+     *
+     * @param {Number} retryAfter Time to hold requests in milliseconds
+     */
+    throttle(retryAfter) {
+        const until = Date.now() + retryAfter;
+        if (until <= this.until) {
+            return;
+        }
+        const throttled = this.throttled;
+        this.until = until;
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = undefined;
+            this.emit("unthrottled");
+        }, retryAfter);
+        // held requests keep the process running, not the event
+        this.timer.unref();
+
+        if (!throttled) {
+            this.emit("throttled", { until, retryAfter });
+        }
+    }
+
+    /**
+     * Slow down before the rate limit is reached. Once few requests remain in the rate limit window,
+     * requests start one at a time, spaced evenly until the window resets. None are sent if none remain.
+     *
+     * @param {RateLimit} rateLimit Rate limit headers of a response
+     */
+    update(rateLimit) {
+        const { limit, remaining, reset } = rateLimit;
+        if (remaining === undefined || reset === undefined) {
+            return;
+        }
+        const low = Math.max(1, Math.floor((limit || 0) * LOW_REMAINING_RATIO));
+        if (remaining === 0) {
+            this.throttle(reset * 1000);
+        } else if (remaining <= low) {
+            const now = Date.now();
+            this.interval = reset * 1000 / (remaining + 1);
+            this.nextSlot = Math.max(this.nextSlot, now + this.interval);
+            this.paceUntil = now + reset * 1000;
+        } else {
+            this.paceUntil = 0;
+        }
+    }
+
+    /**
+     * Wait until requests are no longer held, and for the next start slot while requests are paced
+     *
+     * @param {AbortSignal} [signal] Stops waiting, rejecting with an `AbortError`
+     */
+    async wait(signal) {
+        await waitUnthrottled(this, signal);
+        const now = Date.now();
+        if (now < this.paceUntil) {
+            // every waiter takes its own slot, so they do not all start at once
+            const slot = Math.max(now, this.nextSlot);
+            this.nextSlot = slot + this.interval;
+            if (slot > now) {
+                await sleep(slot - now, signal);
+                // a 429 might have come in while waiting
+                await waitUnthrottled(this, signal);
+            }
+        }
+    }
+}
+
+module.exports = {
+    BackpressureGate
+};
@@ -0,0 +1,95 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const { readJsonFile, writeJsonFile } = require("./jsonfile");
+
+/**
+ * @typedef {Object} JournalCheckpoint
+ * @property {String} position Journal position of the last consumed event
+ * @property {String[]} eventIds Ids of the most recently consumed events, to skip them if they are received again
+ */
+/**
+ * Store for journal checkpoints. Implement `get()` and `set()` to plug in your own store.
+ *
+ * @typedef {Object} CheckpointStore
+ * @property {function(String): Promise<JournalCheckpoint>} get Get the checkpoint of a journal URL
+ * @property {function(String, JournalCheckpoint): Promise} set Store the checkpoint of a journal URL
+ */
+
+/**
+ * Journal checkpoints for a single process
+ */
+class MemoryCheckpointStore {
+
+    constructor() {
+        this.checkpoints = new Map();
+    }
+
+    async get(journal) {
+        return this.checkpoints.get(journal);
+    }
+
+    async set(journal, checkpoint) {
+        this.checkpoints.set(journal, checkpoint);
+    }
+}
+
+/**
+ * Journal checkpoints in a JSON file, so polling can resume after a restart.
+ * Use a separate file for each process consuming the same journal.
+ */
+class FileCheckpointStore {
+
+    /**
+     * @param {String} file Path of the JSON file storing the checkpoints, it is created if it does not exist
+     */
+    constructor(file) {
+        if (!file) {
+            throw Error("FileCheckpointStore requires a file path");
+        }
+        this.file = file;
+    }
+
+    async get(journal) {
+        const checkpoints = await readJsonFile(this.file, {});
+        return checkpoints[journal];
+    }
+
+    async set(journal, checkpoint) {
+        const checkpoints = await readJsonFile(this.file, {});
+        checkpoints[journal] = checkpoint;
+        await writeJsonFile(this.file, checkpoints);
+    }
+}
+
+/**
+ * Normalize the `checkpointStore` option
+ *
+ * @param {CheckpointStore|String} store Checkpoint store, or the path of a file for a `FileCheckpointStore`
+ * @returns {CheckpointStore} checkpoint store
+ */
+function getCheckpointStore(store) {
+    if (typeof store === "string") {
+        return new FileCheckpointStore(store);
+    } else if (store && typeof store.get === "function" && typeof store.set === "function") {
+        return store;
+    }
+    throw Error("checkpointStore must be a file path or an object with get() and set() functions");
+}
+
+module.exports = {
+    MemoryCheckpointStore,
+    FileCheckpointStore,
+    getCheckpointStore
+};
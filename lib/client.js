@@ -13,6 +13,7 @@
 "use strict";
 
 const EventEmitter = require("events");
+const { Readable } = require("stream");
 const uuid = require("uuid");
 const { AdobeAuth, AdobeIOEvents } = require("@adobe/asset-compute-events-client");
 const { AssetCompute } = require("./assetcompute");
@@ -20,6 +21,185 @@ const { AssetComputeEventEmitter } = require("./eventemitter");
 const { isOAuthServerToServerIntegration, 
     validateOAuthServerToServerIntegration,
     createOAuthServerToServerAccessToken } = require("./oauthservertoserver");
+const { getAccessTokenProvider } = require("./accesstoken");
+const { AbortError, RenditionsFailedError, TimeoutError } = require("./error");
+const { assertValidRenditions } = require("./validate");
+const { throwIfAborted, sleep } = require("./abort");
+const { RenditionEventBuffer } = require("./eventbuffer");
+const { RenditionEventDispatcher } = require("./dispatcher");
+const { RenditionEventIterator } = require("./eventiterator");
+const { DuplicateEventFilter, getDuplicateReason } = require("./duplicates");
+const { RenditionRetrier } = require("./renditionretry");
+const { getRenditionIndex, getRenditionId } = require("./renditionuserdata");
+const { getRequestStore } = require("./requeststore");
+const { RequestQueue } = require("./queue");
+const { getRetryPolicy } = require("./retrypolicy");
+const { logRetry } = require("./retry");
+const { createLogger } = require("./logger");
+const { createTelemetry } = require("./telemetry");
+
+// refresh the access token this long before it expires
+const ACCESS_TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// journal readiness polling: start interval, backoff factor and maximum interval
+const READY_POLL_INTERVAL_MS = 1000;
+const READY_POLL_BACKOFF = 2;
+const READY_MAX_POLL_INTERVAL_MS = 10000;
+const READY_TIMEOUT_MS = 120000;
+// IMS access tokens are valid for 24 hours, used if the expiry cannot be read from the token
+const DEFAULT_ACCESS_TOKEN_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Determine when an IMS access token expires. IMS access tokens are JWTs
+ * with `created_at` and `expires_in` claims, both in milliseconds.
+ *
+ * @param {String} accessToken IMS access token
+ * @returns {Number} expiry as milliseconds since epoch
+ */
+function getAccessTokenExpiry(accessToken) {
+    try {
+        const payload = JSON.parse(Buffer.from(accessToken.split(".")[1], "base64").toString());
+        const createdAt = parseInt(payload.created_at, 10);
+        const expiresIn = parseInt(payload.expires_in, 10);
+        if (Number.isFinite(createdAt) && Number.isFinite(expiresIn)) {
+            return createdAt + expiresIn;
+        }
+    } catch (e) { // eslint-disable-line no-unused-vars
+        // not a JWT, fall through to default lifetime
+    }
+    return Date.now() + DEFAULT_ACCESS_TOKEN_LIFETIME_MS;
+}
+
+function isUnauthorized(error) {
+    // AssetCompute sets the status, the I/O events journal only has it in the message
+    return error && (error.status === 401 || / failed with 401 /.test(error.message));
+}
+
+/**
+ * Create a new IMS access token for the integration
+ *
+ * @param {AssetComputeClient} client client
+ * @param {Boolean} forceRefresh true to replace the access token of the client in the token cache, as it was rejected
+ */
+async function createAccessToken(client, forceRefresh) {
+    // the token in use is the one rejected
+    const rejectedAccessToken = client.accessToken;
+    const accessToken = await client.telemetry.traceCall("/ims/token", () => {
+        if (isOAuthServerToServerIntegration(client.integration)) {
+            return createOAuthServerToServerAccessToken(client.integration, client.adobeLoginHost, {
+                tokenCache: client.options.tokenCache,
+                logger: client.logger,
+                forceRefresh,
+                rejectedAccessToken
+            });
+        }
+        return client.auth.createAccessToken(
+            client.integration.technicalAccount,
+            client.integration.metascopes
+        );
+    });
+
+    client.accessToken = accessToken;
+    client.accessTokenExpiry = getAccessTokenExpiry(accessToken);
+    return accessToken;
+}
+
+/**
+ * Renew the access token of the client. Concurrent calls share the same renewal,
+ * unless a forced refresh is asked for while a renewal that might use the token cache is running.
+ * Without a token cache, every renewal creates a new access token.
+ *
+ * @param {AssetComputeClient} client client
+ * @param {Boolean} forceRefresh true to bypass the token cache
+ * @returns {Promise<String>} new access token
+ */
+function renewAccessToken(client, forceRefresh) {
+    const renewal = client._accessTokenRefresh;
+    if (!renewal || (forceRefresh && !renewal.forceRefresh && client.options.tokenCache)) {
+        const promise = createAccessToken(client, forceRefresh).finally(() => {
+            if (client._accessTokenRefresh === promise) {
+                client._accessTokenRefresh = null;
+            }
+        });
+        promise.forceRefresh = forceRefresh;
+        client._accessTokenRefresh = promise;
+    }
+    return client._accessTokenRefresh;
+}
+
+/**
+ * Invoke an Asset Compute call. If the call fails with a 401,
+ * the access token is refreshed and the call is retried once.
+ */
+async function invokeWithAccessToken(client, asyncFunc) {
+    try {
+        return await asyncFunc();
+    } catch (error) {
+        if (!isUnauthorized(error)) {
+            throw error;
+        }
+        await client.refreshAccessToken();
+        return asyncFunc();
+    }
+}
+
+/**
+ * @typedef {Object} AssetComputeWaitOptions
+ * @property {Number} [timeout=60000] Time to wait in milliseconds
+ * @property {AbortSignal} [signal] Stops waiting, rejecting with an `AbortError`
+ * @property {Boolean} [partial=false] Resolve with the events received so far when the timeout expires,
+ *                                     instead of rejecting with a `TimeoutError`
+ * @property {Number} [renditionCount] Number of renditions of the request waited for by `waitActivation()`,
+ *                                     to list the missing renditions even if no event was received
+ * @property {String|Number} [renditionId] Only wait for the rendition with this `id` in `waitActivation()`
+ */
+/**
+ * Wait methods accept either a timeout or an options object
+ *
+ * @param {Number|AssetComputeWaitOptions} options Timeout or options
+ * @returns {AssetComputeWaitOptions} options with the default timeout set
+ */
+function getWaitOptions(options) {
+    if (typeof options === "number") {
+        return { timeout: options };
+    }
+    options = options || {};
+    return {
+        ...options,
+        timeout: options.timeout === undefined ? 60000 : options.timeout
+    };
+}
+
+/**
+ * Report a retry to the `onRetry` option and the `retry` event,
+ * logging a warning only if neither is used
+ */
+function reportRetry(client, info) {
+    const { onRetry } = client.options;
+    if (typeof onRetry === "function") {
+        onRetry(info);
+    }
+    if (!client.emit("retry", info) && typeof onRetry !== "function") {
+        logRetry(client.logger, info);
+    }
+}
+
+function reportGiveUp(client, info) {
+    const { onGiveUp } = client.options;
+    if (typeof onGiveUp === "function") {
+        onGiveUp(info);
+    }
+    client.emit("give_up", info);
+}
+
+function getOrg(client) {
+    const integration = client.integration || {};
+    return client.options.org || integration.ORG_ID || (integration.technicalAccount && integration.technicalAccount.org);
+}
+
+function getApiKey(client) {
+    const integration = client.integration || {};
+    return client.options.apiKey || integration.CLIENT_ID || (integration.technicalAccount && integration.technicalAccount.clientId);
+}
 
 function getAssetComputeClientId(event) {
     return event.userData &&
@@ -39,6 +219,88 @@ function completePendingRendition(client) {
     }
 }
 
+/**
+ * Handle a rendition event of one of our requests
+ */
+function handleRenditionEvent(client, event) {
+    if (!client.clientIds.has(getAssetComputeClientId(event))) {
+        return;
+    }
+    const { reason, previous } = client.duplicateFilter.check(event);
+    if (reason) {
+        client.emit("duplicate_event", { event, previous, reason });
+        return;
+    }
+    // requests resumed from a previous client are not retried
+    if (client.renditionRetrier && getAssetComputeClientId(event) === client.id) {
+        // events of retried renditions become events of the original request
+        event = client.renditionRetrier.handle(event, previous);
+        if (!event) {
+            return;
+        }
+    }
+    deliverRenditionEvent(client, event, previous);
+}
+
+/**
+ * Deliver a rendition event to the request store, waiters and listeners
+ */
+function deliverRenditionEvent(client, event, previous) {
+    client.telemetry.recordRenditionEvent(event);
+    if (!previous) {
+        // unless a rendition_created replaces a rendition_failed, the rendition is already completed then
+        completePendingRendition(client);
+    }
+    if (client.requestStore) {
+        // the event can arrive before its request is recorded, or even before the response of /process
+        let recording = client._recordings.get(event.requestId);
+        if (!recording && client._submissions.size > 0) {
+            recording = Promise.all(client._submissions);
+        }
+        // close() waits for the last update
+        client._completing = Promise.resolve(recording)
+            .then(() => client.requestStore.complete(event.requestId, getRenditionIndex(event), event))
+            .catch(error => client.emit("error", error));
+    }
+    client.eventBuffer.add(event);
+    client.eventDispatcher.dispatch(event);
+    client.emit(event.type, event);
+}
+
+/**
+ * Start receiving events, pushed to a webhook or polled from the journal
+ */
+function startEventEmitter(client) {
+    const eventEmitter = client.options.webhook ? client.options.webhook.subscribe() : new AssetComputeEventEmitter({
+        ...client.options,
+        accessTokenProvider: () => client.getAccessToken(),
+        org: getOrg(client),
+        journal: client.journal
+    });
+
+    client.eventEmitter = eventEmitter;
+
+    // event forwarding
+    eventEmitter.on('rendition_created', event => handleRenditionEvent(client, event));
+    eventEmitter.on('rendition_failed', event => handleRenditionEvent(client, event));
+    eventEmitter.on('error', error => {
+        if (!client.options.webhook && isUnauthorized(error)) {
+            // access token expired or was revoked, the next poll will use the new one
+            client.refreshAccessToken().catch(error => client.emit("error", error));
+        }
+        client.emit("error", error);
+    });
+
+    // NUI-878 protect against UnhandledPromiseRejectionWarning and polling interruption by having a listener by default
+    client.on('error', error => {
+        if (client.listenerCount('error') <= 1) {
+            // log if there is no other listener handling errors
+            const message = error.message || error;
+            client.logger.warn({ error: message, status: error.status }, `Error polling event journal: ${message}`);
+        }
+    });
+}
+
 function completeClientEvent(requestId, event, context) {
     if (event.requestId !== requestId) {
         return;
@@ -67,14 +329,181 @@ function completeClientEvent(requestId, event, context) {
         context.events = new Array(userData.length);
     }
 
-    if (!context.events[userData.index]) {
+    const previous = context.events[userData.index];
+    if (!previous) {
+        context.events[userData.index] = event;
+        // completed an event successfully
+        --context.pendingEvents;
+    } else if (!getDuplicateReason(event, previous)) {
+        // rendition_created replaces rendition_failed, other duplicates are dropped
         context.events[userData.index] = event;
-    } else {
-        throw Error(`Request ${requestId}, duplicate event: ${JSON.stringify(event)}, previous: ${JSON.stringify(context.events[userData.index])}`);
     }
+}
 
-    // completed an event successfully
-    --context.pendingEvents;
+/**
+ * Submit a /process request, through the queue if enabled
+ */
+async function submitProcess(client, source, renditions, userData, signal) {
+    // the queue retries on 429 itself, after slowing down all requests
+    const requestOptions = { signal, disable429Retry: !!client.queue };
+    const submit = () => invokeWithAccessToken(client, () => client.assetCompute.process(source, renditions, userData, undefined, requestOptions));
+    return client.queue ? client.queue.add(submit, { signal }) : submit();
+}
+
+/**
+ * Wait for the rendition events of a request
+ *
+ * @param {AssetComputeClient} client Client
+ * @param {String} requestId Activation identifier
+ * @param {AssetComputeWaitOptions} options Wait options with the timeout set
+ * @returns {Promise} rendition events by index, or the event of `renditionId` if set
+ */
+function waitForRequest(client, requestId, options) {
+    const { timeout, signal, partial, renditionCount, renditionId } = options;
+    throwIfAborted(signal);
+    return new Promise((resolve, reject) => {
+        const context = {};
+        let finished = false;
+        // eslint-disable-next-line prefer-const
+        let removeListener, clearEvents;
+
+        // set timer to implement timeout
+        const timer = setTimeout(() => {
+            clearEvents();
+            // the number of renditions is only known from the events, unless the caller knows it
+            const known = context.events || renditionCount !== undefined;
+            const events = context.events || new Array(renditionCount || 0);
+            const missing = known ? [...events.keys()].filter(index => !events[index]) : undefined;
+            if (partial) {
+                return resolve(renditionId === undefined ? events : undefined);
+            }
+            const detail = known ? `, ${missing.length} of ${events.length} renditions missing` : "";
+            reject(new TimeoutError(`Request ${requestId} timed out after ${timeout} ms${detail}`, {
+                requestId,
+                events,
+                missing
+            }));
+        }, timeout);
+
+        // event listener
+        const listener = event => {
+            try {
+                completeClientEvent(requestId, event, context);
+                const completed = context.events && (context.pendingEvents === 0);
+                if (renditionId !== undefined && getRenditionId(event) === renditionId) {
+                    clearEvents();
+                    // the event kept for the rendition, in case of duplicates
+                    resolve(context.events[getRenditionIndex(event)]);
+                } else if (completed) {
+                    clearEvents();
+                    if (renditionId !== undefined) {
+                        reject(Error(`Request ${requestId} has no rendition with id ${renditionId}`));
+                    } else {
+                        // single rendition lookups leave the events to the retention, for later calls
+                        client.eventBuffer.delete(requestId);
+                        resolve(context.events);
+                    }
+                }
+            } catch (e) {
+                clearEvents();
+                reject(e);
+            }
+        };
+
+        const onAbort = () => {
+            clearEvents();
+            reject(new AbortError());
+        };
+
+        // clear events
+        clearEvents = () => {
+            finished = true;
+            clearTimeout(timer);
+            if (removeListener) {
+                removeListener();
+            }
+            if (signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+        };
+
+        // replay events received before we started listening
+        for (const event of client.eventBuffer.get(requestId)) {
+            listener(event);
+            if (finished) {
+                return;
+            }
+        }
+
+        // start listening to events of this request
+        removeListener = client.eventDispatcher.add(requestId, listener);
+        if (signal) {
+            signal.addEventListener("abort", onAbort);
+        }
+    });
+}
+
+/**
+ * @typedef {Object} AssetComputeRenditionResult
+ * @property {Number} index Index of the rendition in the request
+ * @property {String|Number} [id] `id` of the requested rendition, if any
+ * @property {AssetComputeRendition} rendition Rendition as requested
+ * @property {Boolean} succeeded True if the rendition was created
+ * @property {Boolean} [missing] True if no event was received before the timeout, with the `partial` option
+ * @property {Object} [metadata] Rendition metadata, if it was created
+ * @property {String} [errorReason] Rendition failure reason, if it failed
+ * @property {String} [errorMessage] Text giving more detail about the rendition failure, if it failed
+ * @property {RenditionAttempt[]} [attempts] All attempts of the rendition, with the `renditionRetry` option
+ * @property {AssetComputeRenditionCreatedEvent|AssetComputeRenditionFailedEvent} event Event received for the rendition
+ */
+/**
+ * @typedef {Object} AssetComputeProcessResult
+ * @property {String} requestId Activation identifier
+ * @property {AssetComputeRenditionResult[]} renditions Results of all renditions, in the order they were requested
+ * @property {Map<String|Number, AssetComputeRenditionResult>} [byId] Results by rendition `id`, if the renditions have one
+ * @property {AssetComputeRenditionResult[]} succeeded Results of the created renditions
+ * @property {AssetComputeRenditionResult[]} failed Results of the failed renditions
+ * @property {AssetComputeRenditionResult[]} missing Renditions without an event before the timeout, with the `partial` option
+ */
+
+/**
+ * Build the result of a request from its rendition events
+ *
+ * @param {String} requestId Activation identifier
+ * @param {AssetComputeRendition[]} renditions Requested renditions
+ * @param {Array} events Rendition events, in the order of the renditions, `undefined` for missing ones
+ * @returns {AssetComputeProcessResult} result
+ */
+function buildProcessResult(requestId, renditions, events) {
+    const results = renditions.map((rendition, index) => {
+        const event = events[index];
+        if (!event) {
+            // timed out with the `partial` option
+            return { index, id: rendition.id, rendition, succeeded: false, missing: true };
+        }
+        const succeeded = event.type === "rendition_created";
+        return {
+            index,
+            id: rendition.id,
+            rendition: renditions[index],
+            succeeded,
+            metadata: succeeded ? event.metadata : undefined,
+            errorReason: succeeded ? undefined : event.errorReason,
+            errorMessage: succeeded ? undefined : event.errorMessage,
+            attempts: event.attempts,
+            event
+        };
+    });
+    const byId = renditions.some(rendition => rendition.id !== undefined) ?
+        new Map(results.map(result => [result.id, result])) : undefined;
+    return {
+        requestId,
+        renditions: results,
+        byId,
+        succeeded: results.filter(result => result.succeeded),
+        failed: results.filter(result => !result.succeeded && !result.missing),
+        missing: results.filter(result => result.missing)
+    };
 }
 
 /**
@@ -95,6 +524,38 @@ function completeClientEvent(requestId, event, context) {
  * @event AssetCompute#error
  * @type {Error}
  */
+/**
+ * @typedef {Object} DuplicateEventInfo
+ * @property {AssetComputeRenditionCreatedEvent|AssetComputeRenditionFailedEvent} event Dropped event
+ * @property {AssetComputeRenditionCreatedEvent|AssetComputeRenditionFailedEvent} previous Event kept for the rendition
+ * @property {String} reason `redelivered` if the event has the same type as the kept one,
+ *                           `failed_after_created` for a `rendition_failed` event after a `rendition_created` event
+ */
+/**
+ * Event fired when a rendition event is dropped because an event was already received for the rendition
+ *
+ * @event AssetCompute#duplicate_event
+ * @type {DuplicateEventInfo}
+ */
+/**
+ * Event fired when a failed rendition is submitted again, with the `renditionRetry` option.
+ * No `rendition_failed` event is fired for the failure.
+ *
+ * @event AssetCompute#rendition_retry
+ * @type {RenditionRetryInfo}
+ */
+/**
+ * Event fired before waiting to retry a failed request
+ *
+ * @event AssetCompute#retry
+ * @type {RetryInfo}
+ */
+/**
+ * Event fired when a retryable failure is not retried anymore, the request rejects with the error
+ *
+ * @event AssetCompute#give_up
+ * @type {GiveUpInfo}
+ */
 class AssetComputeClient extends EventEmitter {
 
     /**
@@ -124,23 +585,68 @@ class AssetComputeClient extends EventEmitter {
       */
     /**
       * @typedef {Object} AssetComputeClientOptions
-      * @property {String} [apiKey=] Override the API key used to communicate with Asset Compute. Used only on non-production.
+      * @property {String} [apiKey=] Override the API key used to communicate with Asset Compute. Used only on non-production
+      *                              or with an `accessTokenProvider`.
+      * @property {String} [org=] Override the IMS organization. Used with an `accessTokenProvider`.
+      * @property {AccessTokenProvider|AccessTokenProviderFunction} [accessTokenProvider=] Provides the access tokens instead of
+      *                              creating them from the integration through IMS
       * @property {String} [url=] Asset Compute url (defaults to https://asset-compute.adobe.io)
       * @property {Number} [interval=] Override interval at which to poll I/O events
       * @property {String} [imsEndpoint=] IMS service to authenticate with
+      * @property {TokenCache} [tokenCache=] Cache for OAuth Server-to-server access tokens, such as `FileTokenCache`
+      *                                      to share tokens between processes
       * @property {Object} [retryOptions=] Fetch retry options for `@adobe/node-fetch-retry` See README.md for more information
+      * @property {RetryPolicy} [retryPolicy=] Retry policy for 429, 5xx and network errors, replaces the retries
+      *                                       of `@adobe/node-fetch-retry` and the 429 retry options
+      * @property {AssetComputeWebhookEventEmitter} [webhook=] Receive events pushed to this webhook instead of
+      *                                                      polling the I/O Events journal
+      * @property {CheckpointStore|String} [checkpointStore=] Persist the I/O Events journal position and resume polling
+      *                                                      from it after a restart. Either a store or the path of a JSON file.
+      * @property {RequestStore|String} [requestStore=] Record submitted requests, to resume waiting for them after a restart.
+      *                                                 Either a store or the path of a JSON file.
+      * @property {Boolean|AssetComputeWaitUntilReadyOptions} [waitUntilReady=] `AssetComputeClient.create()` waits until
+      *                                                      the I/O Events journal is ready
+      * @property {Boolean|AssetComputeQueueOptions} [queue=] Queue `process()` calls to limit the requests in flight
+      *                                                and the request rate, slowing down while the service responds with 429
+      * @property {function(RetryInfo)} [onRetry=] Called before waiting to retry a failed request. Without this option
+      *                                          or a `retry` event listener, retries are logged as warnings.
+      * @property {function(GiveUpInfo)} [onGiveUp=] Called when a retryable failure is not retried anymore
+      * @property {Logger} [logger=] Logger called like pino with `(fields, message)`, defaults to the console
+      * @property {String} [logLevel="info"] Minimum level logged: `debug`, `info`, `warn`, `error` or `silent`
+      * @property {BackpressureGate} [backpressure=] Holds all requests after a 429 response until its `retry-after` time
+      *                                             has passed, pass the same gate to share it between clients
+      * @property {Boolean|AssetComputeTelemetryOptions} [telemetry=true] OpenTelemetry tracer and meter providers,
+      *                                             `false` to disable. Only used if `@opentelemetry/api` is installed.
+      * @property {Boolean|RenditionRetryPolicy} [renditionRetry=] Submit failed renditions again depending on their
+      *                                                  `errorReason`, `true` retries a `GenericError` up to 3 times
+      * @property {Number} [eventBufferRetention=600000] Time in milliseconds to keep rendition events received before
+      *                                                  `waitActivation()` is called, 0 to disable
+      * @property {Number} [eventBufferMaxRequests=10000] Maximum number of requests to keep rendition events of,
+      *                                                  the oldest are dropped first
       */
     /**
       * Create a high-level asset compute client.
       *
-      * @param {AssetComputeIntegration|OAuthServerToServerIntegration} integration Asset Compute Integration
+      * @param {AssetComputeIntegration|OAuthServerToServerIntegration} integration Asset Compute Integration,
+      *                                   optional with an `accessTokenProvider` if `org` and `apiKey` options are set
       * @param {AssetComputeClientOptions} [options=] Options provided to the client
       */
     constructor(integration, options={}) {
         super();
 
+        this.integration = integration;
+        this.options = options || {};
+        this.logger = createLogger(this.options.logger, this.options.logLevel);
+        // shared with AssetCompute, so rendition events are linked to the /process spans
+        this.telemetry = createTelemetry(this.options.telemetry);
+
         // validate integration
-        if (isOAuthServerToServerIntegration(integration)) {
+        if (this.options.accessTokenProvider) {
+            this.accessTokenProvider = getAccessTokenProvider(this.options.accessTokenProvider);
+            if (!getOrg(this) || !getApiKey(this)) {
+                throw Error(`Asset Compute org and apiKey are required with an accessTokenProvider`);
+            }
+        } else if (isOAuthServerToServerIntegration(integration)) {
             if (!validateOAuthServerToServerIntegration(integration)) {
                 throw Error(`Asset Compute OAuth Server-to-server integration details are required`);
             }
@@ -154,28 +660,65 @@ class AssetComputeClient extends EventEmitter {
             adobeLoginHost: this.adobeLoginHost
         });
 
-        this.integration = integration;
-        this.options = options;
         this._registered = false;
 
         // identifier uniquely identifying us
         this.id = uuid.v1();
+        // our id and the ids of resumed requests submitted by a previous client
+        this.clientIds = new Set([this.id]);
         this.pendingRenditions = 0;
+        if (this.options.requestStore) {
+            this.requestStore = getRequestStore(this.options.requestStore);
+            // requests being recorded in the store by requestId, and those still waiting for the /process response
+            this._recordings = new Map();
+            this._submissions = new Set();
+        }
+
+        if (this.options.queue) {
+            const retryPolicy = getRetryPolicy(this.options);
+            this.queue = new RequestQueue({
+                max429RetryCount: retryPolicy.statuses.includes(429) ? retryPolicy.maxAttempts - 1 : 0,
+                onRetry: info => reportRetry(this, { ...info, endpoint: "/process" }),
+                onGiveUp: info => reportGiveUp(this, { ...info, endpoint: "/process" }),
+                logger: this.logger,
+                ...(this.options.queue === true ? {} : this.options.queue)
+            });
+        }
+
+        // rendition events received before waitActivation() is called
+        this.eventBuffer = new RenditionEventBuffer(this.options.eventBufferRetention, this.options.eventBufferMaxRequests);
+        // routes rendition events to waitActivation() calls by requestId
+        this.eventDispatcher = new RenditionEventDispatcher();
+        // drops rendition events received more than once
+        this.duplicateFilter = new DuplicateEventFilter();
+        if (this.options.renditionRetry) {
+            this.renditionRetrier = new RenditionRetrier(this.options.renditionRetry, {
+                submit: (source, renditions, userData) => submitProcess(this, source, renditions, userData),
+                deliver: (event, previous) => deliverRenditionEvent(this, event, previous),
+                onRetry: info => this.emit("rendition_retry", info)
+            });
+        }
+        // iterators returned by events(), ended by close()
+        this.eventIterators = new Set();
     }
 
     /**
-     * Initialize Asset Compute and calls /register
+     * Initialize Asset Compute and calls /register.
+     * With the `waitUntilReady` option, also waits until the I/O Events journal can be used.
+     *
+     * @param {AssetComputeIntegration|OAuthServerToServerIntegration} integration Asset Compute Integration
+     * @param {AssetComputeClientOptions} [options=] Options provided to the client
      */
     static async create(integration, options) {
-        // validate integration
-        if (isOAuthServerToServerIntegration(integration) && !validateOAuthServerToServerIntegration(integration)) {
-            throw Error(`Asset Compute OAuth Server-to-server integration details are required`);
-        } else if (!integration || !integration.metascopes || !integration.technicalAccount) {
-            throw Error(`Asset Compute integration details are required`);
-        }
+        // validates integration
         const assetComputeClient =  new AssetComputeClient(integration, options);
         // Register I/O event type and journal
         await assetComputeClient.register();
+
+        const waitUntilReady = options && options.waitUntilReady;
+        if (waitUntilReady) {
+            await assetComputeClient.waitUntilReady(waitUntilReady === true ? {} : waitUntilReady);
+        }
         return assetComputeClient;
     }
 
@@ -183,38 +726,68 @@ class AssetComputeClient extends EventEmitter {
      * Set up Asset Compute
      */
     async initialize() {
-        let accessToken;
-        if (isOAuthServerToServerIntegration(this.integration)) {
-            accessToken = await createOAuthServerToServerAccessToken(this.integration, this.adobeLoginHost);
-        } else {
-            accessToken = await this.auth.createAccessToken(
-                this.integration.technicalAccount,
-                this.integration.metascopes
-            );
-        }
+        // fail early on invalid credentials
+        await this.getAccessToken();
 
         // Set-up asset compute
         const assetCompute = new AssetCompute({
             ...this.options,
-            accessToken,
-            org: this.integration.ORG_ID || this.integration.technicalAccount.org,
-            apiKey: (this.options && this.options.apiKey) || this.integration.CLIENT_ID || this.integration.technicalAccount.clientId
+            accessTokenProvider: () => this.getAccessToken(),
+            onRetry: info => reportRetry(this, info),
+            onGiveUp: info => reportGiveUp(this, info),
+            logger: this.logger,
+            telemetry: this.telemetry,
+            org: getOrg(this),
+            apiKey: getApiKey(this)
         });
         this.assetCompute = assetCompute;
-        this.accessToken = accessToken;
+    }
+
+    /**
+     * Get a valid access token. Calls the `accessTokenProvider` if set, otherwise
+     * the IMS access token is refreshed if it is about to expire.
+     *
+     * @returns {Promise<String>} access token
+     */
+    async getAccessToken() {
+        if (this.accessTokenProvider) {
+            return this.accessTokenProvider();
+        }
+        if (!this.accessToken || Date.now() >= this.accessTokenExpiry - ACCESS_TOKEN_REFRESH_MARGIN_MS) {
+            // a token about to expire was not rejected, so another process might have cached a new one
+            await renewAccessToken(this, false);
+        }
+        return this.accessToken;
+    }
+
+    /**
+     * Get a new access token, e.g. after the current one was rejected.
+     * Concurrent calls share the same refresh. A `tokenCache` is bypassed and its entry replaced.
+     *
+     * @returns {Promise<String>} new access token
+     */
+    async refreshAccessToken() {
+        if (this.accessTokenProvider) {
+            return this.accessTokenProvider({ forceRefresh: true });
+        }
+        return renewAccessToken(this, true);
     }
 
     /**
      * Register I/O event type and journal and set up event emitter
      * This must be called before the first call to /process or after calling /unregister
+     *
+     * @param {AssetComputeRequestOptions} [options] Request options
      */
-    async register() {
-        if (!this.accessToken || !this.assetCompute) {
+    async register(options={}) {
+        const { signal } = options;
+        if (!this.assetCompute) {
             await this.initialize();
         }
+        throwIfAborted(signal);
 
         // Register I/O event type and journal, emit events
-        const response = await this.assetCompute.register();
+        const response = await invokeWithAccessToken(this, () => this.assetCompute.register({ signal }));
         this.journal = response.journal;
         this._registered = true;
 
@@ -228,9 +801,12 @@ class AssetComputeClient extends EventEmitter {
     /**
      * Wait for all pending renditions to finish
      *
-     * @param {Number} [timeout=60000] Time to wait for activation
+     * @param {Number|AssetComputeWaitOptions} [options=60000] Time to wait for activation, or options
+     * @throws {TimeoutError} with the number of `pendingRenditions` if the timeout expires
      */
-    async wait(timeout = 60000) {
+    async wait(options) {
+        const { timeout, signal, partial } = getWaitOptions(options);
+        throwIfAborted(signal);
         if (this.pendingRenditions < 0) {
             throw Error(`Internal error, pendingRenditions < 0: ${this.pendingRenditions}`);
         } else if (this.pendingRenditions > 0) {
@@ -242,7 +818,12 @@ class AssetComputeClient extends EventEmitter {
                 // set timer to implement timeout
                 const timer = setTimeout(() => {
                     clearEvents();
-                    reject(Error(`Timed out after ${timeout} ms`));
+                    if (partial) {
+                        return resolve();
+                    }
+                    reject(new TimeoutError(`Timed out after ${timeout} ms, ${self.pendingRenditions} renditions pending`, {
+                        pendingRenditions: self.pendingRenditions
+                    }));
                 }, timeout);
 
                 // event listener
@@ -251,12 +832,23 @@ class AssetComputeClient extends EventEmitter {
                     resolve();
                 };
 
+                const onAbort = () => {
+                    clearEvents();
+                    reject(new AbortError());
+                };
+
                 clearEvents = () => {
                     clearTimeout(timer);
-                    self.off("drained", resolve);
+                    self.off("drained", listener);
+                    if (signal) {
+                        signal.removeEventListener("abort", onAbort);
+                    }
                 };
 
                 self.on("drained", listener);
+                if (signal) {
+                    signal.addEventListener("abort", onAbort);
+                }
             });
         }
     }
@@ -265,9 +857,16 @@ class AssetComputeClient extends EventEmitter {
      * Stop the AssetCompute client
      */
     async close() {
+        if (this.renditionRetrier) {
+            this.renditionRetrier.close();
+        }
+        for (const iterator of this.eventIterators) {
+            iterator.end();
+        }
         if (this.eventEmitter) {
-            return this.eventEmitter.close();
+            await this.eventEmitter.close();
         }
+        await this._completing;
     }
 
     /**
@@ -275,62 +874,43 @@ class AssetComputeClient extends EventEmitter {
      * emitted from this class.
      *
      * @param {AssetComputeSource} source Source asset
-     * @param {AssetComputeRendition[]} renditions Requested renditions
+     * @param {AssetComputeRendition[]} renditions Requested renditions, each with an optional `id` to match its event
      * @param {Object} userData User data associated with the request
+     * @param {AssetComputeRequestOptions} [options] Request options
      * @returns {Object} Response with the activation id
      */
-    async process(source, renditions, userData) {
+    async process(source, renditions, userData, options={}) {
+        const { signal } = options;
+        throwIfAborted(signal);
         if (!this._registered) {
             // note: use AssetComputeClient.create() for a simpler way to initialize the client and call register
             throw new Error('Must call register before calling /process');
         }
 
         if (!this.eventEmitter) {
-            const eventEmitter = new AssetComputeEventEmitter({
-                ...this.options,
-                accessToken: this.accessToken,
-                org: this.integration.ORG_ID || this.integration.technicalAccount.org,
-                journal: this.journal
-            });
-
-            this.eventEmitter = eventEmitter;
+            startEventEmitter(this);
+        }
 
-            // event forwarding
-            const self = this;
-            this.eventEmitter.on('rendition_created', event => {
-                if (getAssetComputeClientId(event) === self.id) {
-                    completePendingRendition(self);
-                    self.emit("rendition_created", event);
-                }
-            });
-            this.eventEmitter.on('rendition_failed', event => {
-                if (getAssetComputeClientId(event) === self.id) {
-                    completePendingRendition(self);
-                    self.emit("rendition_failed", event);
-                }
-            });
-            this.eventEmitter.on('error', error => self.emit("error", error));
+        // keep the requested renditions and user data for the request store
+        const request = { source, renditions, userData };
 
-            // NUI-878 protect against UnhandledPromiseRejectionWarning and polling interruption by having a listener by default
-            this.on('error', error => {
-                if (this.listenerCount('error') <= 1) {
-                    // log if there is no other listener handling errors
-                    console.log("Error polling event journal:", error.message || error);
-                }
-            });
+        if (this.options.validateRenditions !== false) {
+            // before the rendition ids are moved to the user data
+            assertValidRenditions(renditions);
         }
 
-
-        // assign user data to uniquely identify rendition by index
+        // assign user data to uniquely identify rendition by index and the caller's id
         // does not modify the incoming renditions
         renditions = renditions.map((rendition, index) => {
+            const { id, ...instructions } = rendition;
             return {
-                ...rendition,
+                ...instructions,
                 userData: {
                     ...rendition.userData,
                     assetComputeClient: {
                         index,
-                        length: renditions.length
+                        length: renditions.length,
+                        renditionId: id
                     }
                 }
             };
@@ -344,63 +924,251 @@ class AssetComputeClient extends EventEmitter {
             }
         };
 
-        const response = await this.assetCompute.process(source, renditions, userData);
-        this.pendingRenditions += renditions.length;
+        // rendition events can arrive before the response, the retrier holds them until the request is tracked
+        const tracked = this.renditionRetrier ? this.renditionRetrier.submitting() : () => {};
+        const submission = submitProcess(this, source, renditions, userData, signal).then(response => {
+            this.pendingRenditions += renditions.length;
+            tracked(response.requestId, { source, renditions, userData });
+            return response;
+        }, error => {
+            tracked();
+            throw error;
+        });
+        let recording;
+        if (this.requestStore) {
+            // the request was accepted, failing to record it is emitted as error instead of failing process()
+            recording = submission.then(response => {
+                this._submissions.delete(recording);
+                this._recordings.set(response.requestId, recording);
+                return this.requestStore.add({
+                    ...request,
+                    requestId: response.requestId,
+                    clientId: this.id,
+                    submittedAt: Date.now()
+                })
+                    .catch(error => this.emit("error", error))
+                    .then(() => this._recordings.delete(response.requestId));
+            }, () => this._submissions.delete(recording));
+            this._submissions.add(recording);
+        }
+
+        const response = await submission;
+        await recording;
         return response;
     }
 
+    /**
+     * List the submitted requests with renditions still pending, from the `requestStore`
+     *
+     * @returns {Promise<AssetComputePendingRequest[]>} pending requests
+     */
+    async listPending() {
+        if (!this.requestStore) {
+            throw Error('listPending requires the requestStore option');
+        }
+        return this.requestStore.listPending();
+    }
+
+    /**
+     * Resume waiting for the pending requests in the `requestStore`, e.g. after a restart.
+     * Afterwards, `waitActivation()` and `wait()` include these requests, and the rendition events
+     * received before the restart are replayed.
+     *
+     * Events sent while no process was polling the journal are only received with the `checkpointStore` option.
+     *
+     * @returns {Promise<AssetComputePendingRequest[]>} resumed requests
+     */
+    async resume() {
+        const pending = await this.listPending();
+        if (!this._registered) {
+            throw Error('Must call register before resuming requests');
+        }
+        if (!this.eventEmitter) {
+            startEventEmitter(this);
+        }
+
+        // requests of our own or already resumed are already waited for
+        const knownClientIds = new Set(this.clientIds);
+        for (const request of pending) {
+            if (knownClientIds.has(request.clientId)) {
+                continue;
+            }
+            this.clientIds.add(request.clientId);
+            for (const event of request.events) {
+                if (event) {
+                    this.duplicateFilter.check(event);
+                    this.eventBuffer.add(event);
+                } else {
+                    this.pendingRenditions += 1;
+                }
+            }
+        }
+        return pending;
+    }
+
     /**
      * Wait for all events related to a particular activation return.
      *
      * @param {String} requestId Activation identifier previously returned by process
-     * @param {Number} [timeout=60000] Time to wait for activation
-     * @returns {Promise} resolves to the rendition events received
+     * @param {Number|AssetComputeWaitOptions} [options=60000] Time to wait for activation, or options
+     * @returns {Promise} resolves to the rendition events received, by rendition index. With the `partial` option,
+     *                    missing renditions are `undefined` if the timeout expired. If the renditions have an `id`,
+     *                    resolves to a `Map` from the rendition id to its event instead. With the `renditionId`
+     *                    option, resolves to the event of that rendition.
+     * @throws {TimeoutError} with the `events` received and the `missing` rendition indexes if the timeout expires
      */
-    async waitActivation(requestId, timeout=60000) {
-        const self = this;
-        return new Promise((resolve, reject) => {
-            const context = {};
-            // eslint-disable-next-line prefer-const
-            let clearEvents;
-
-            // set timer to implement timeout
-            const timer = setTimeout(() => {
-                clearEvents();
-                reject(Error(`Request ${requestId} timed out after ${timeout} ms`));
-            }, timeout);
+    async waitActivation(requestId, options) {
+        const waitOptions = getWaitOptions(options);
+        const events = await waitForRequest(this, requestId, waitOptions);
+        if (waitOptions.renditionId !== undefined || !events.some(event => event && getRenditionId(event) !== undefined)) {
+            return events;
+        }
+        return new Map(events.filter(event => event).map(event => [getRenditionId(event), event]));
+    }
 
-            // event listener
+    /**
+     * @typedef {Object} AssetComputeEventsOptions
+     * @property {String|String[]} [requestId] Only the events of these requests, ending once all their renditions finished.
+     *                                         Without it, all rendition events of this client until `close()`.
+     * @property {String[]} [types] Event types to yield, defaults to `rendition_created` and `rendition_failed`
+     * @property {AbortSignal} [signal] Ends the iteration
+     * @property {Number} [highWaterMark=1000] Maximum number of unread events buffered. Once reached,
+     *                                         the oldest unread event is dropped and a warning logged.
+     */
+    /**
+     * Iterate over rendition events with `for await`. Events of the requests received before
+     * this call are replayed. Events are buffered until they are read, up to `highWaterMark`.
+     *
+     * @param {AssetComputeEventsOptions} [options] Options
+     * @returns {AsyncIterableIterator} rendition events
+     */
+    events(options={}) {
+        const { signal, highWaterMark } = options;
+        const types = new Set(options.types || ["rendition_created", "rendition_failed"]);
+        const requestIds = options.requestId && [].concat(options.requestId);
+        const cleanups = [];
+        const iterator = new RenditionEventIterator(() => {
+            this.eventIterators.delete(iterator);
+            cleanups.forEach(cleanup => cleanup());
+        }, {
+            highWaterMark,
+            onDrop: event => this.logger.warn(
+                { requestId: event.requestId, type: event.type },
+                `Dropped unread ${event.type} event of request ${event.requestId}, more than ${iterator.highWaterMark} events buffered`
+            )
+        });
+        this.eventIterators.add(iterator);
+        if (signal) {
+            const onAbort = () => iterator.end();
+            signal.addEventListener("abort", onAbort);
+            cleanups.push(() => signal.removeEventListener("abort", onAbort));
+            if (signal.aborted) {
+                onAbort();
+                return iterator;
+            }
+        }
+
+        const yieldEvent = event => {
+            if (types.has(event.type)) {
+                iterator.push(event);
+            }
+        };
+
+        if (requestIds) {
+            // requestId -> indexes of the renditions finished
+            const pending = new Map(requestIds.map(requestId => [requestId, new Set()]));
             const listener = event => {
-                try {
-                    completeClientEvent(requestId, event, context);
-                    if (context.events && (context.pendingEvents === 0)) {
-                        clearEvents();
-                        resolve(context.events);
+                const finished = pending.get(event.requestId);
+                if (!finished) {
+                    return;
+                }
+                yieldEvent(event);
+                finished.add(getRenditionIndex(event));
+                const userData = event.rendition && event.rendition.userData && event.rendition.userData.assetComputeClient;
+                if (userData && finished.size >= userData.length) {
+                    pending.delete(event.requestId);
+                    if (pending.size === 0) {
+                        iterator.end();
                     }
-                } catch (e) {
-                    clearEvents();
-                    reject(e);
                 }
             };
+            for (const requestId of requestIds) {
+                cleanups.push(this.eventDispatcher.add(requestId, listener));
+            }
+            // replay after adding all listeners, as it can end the iteration
+            for (const requestId of requestIds) {
+                this.eventBuffer.get(requestId).forEach(listener);
+            }
+        } else {
+            for (const type of types) {
+                this.on(type, yieldEvent);
+                cleanups.push(() => this.off(type, yieldEvent));
+            }
+        }
+        return iterator;
+    }
 
-            // clear events
-            clearEvents = () => {
-                clearTimeout(timer);
-                self.off("rendition_created", listener);
-                self.off("rendition_failed", listener);
-            };
+    /**
+     * Object mode stream of rendition events, like `events()`. Events are only taken
+     * from the buffer while the stream is read.
+     *
+     * @param {AssetComputeEventsOptions} [options] Options
+     * @returns {Readable} rendition events
+     */
+    eventStream(options) {
+        return Readable.from(this.events(options));
+    }
 
-            // start listening to events
-            self.on("rendition_created", listener);
-            self.on("rendition_failed", listener);
-        });
+    /**
+     * @typedef {Object} AssetComputeProcessAndWaitOptions
+     * @property {Object} [userData] User data associated with the request
+     * @property {Number} [timeout=60000] Time to wait for the renditions
+     * @property {AbortSignal} [signal] Cancels the request or the wait, rejecting with an `AbortError`
+     * @property {Boolean} [partial=false] Resolve when the timeout expires, listing the renditions without an event in `missing`
+     * @property {Boolean} [throwOnFailure=false] Reject with a `RenditionsFailedError` if any rendition failed
+     */
+    /**
+     * Process an asset and wait for all renditions to finish.
+     *
+     * @param {AssetComputeSource} source Source asset
+     * @param {AssetComputeRendition[]} renditions Requested renditions
+     * @param {AssetComputeProcessAndWaitOptions} [options] Options
+     * @returns {Promise<AssetComputeProcessResult>} succeeded and failed renditions, in the order they were requested
+     * @throws {RenditionsFailedError} if any rendition failed and `throwOnFailure` is set
+     */
+    async processAndWait(source, renditions, options={}) {
+        const { userData, timeout, signal, partial, throwOnFailure } = options;
+        const { requestId } = await this.process(source, renditions, userData, { signal });
+        const events = await waitForRequest(this, requestId, getWaitOptions({
+            timeout,
+            signal,
+            partial,
+            renditionCount: renditions.length
+        }));
+
+        const result = buildProcessResult(requestId, renditions, events);
+        if (throwOnFailure && result.failed.length > 0) {
+            const reasons = result.failed.map(failed => `renditions[${failed.index}]: ${failed.errorReason} ${failed.errorMessage}`);
+            throw new RenditionsFailedError(
+                `Request ${requestId}, ${result.failed.length} of ${events.length} renditions failed: ${reasons.join("; ")}`,
+                result
+            );
+        }
+        return result;
     }
 
-    async unregister() {
+    /**
+     * Unregister I/O event type and journal and stop the event emitter
+     *
+     * @param {AssetComputeRequestOptions} [options] Request options
+     */
+    async unregister(options={}) {
+        const { signal } = options;
         if (!this.assetCompute) {
             await this.initialize();
         }
-        const response = await this.assetCompute.unregister();
+        throwIfAborted(signal);
+        const response = await invokeWithAccessToken(this, () => this.assetCompute.unregister({ signal }));
         
         this._registered = false; // wait until successful unregister to set registered variable
 
@@ -411,10 +1179,15 @@ class AssetComputeClient extends EventEmitter {
         return response;
     }
 
+    /**
+     * Check once if the I/O Events journal can be used
+     *
+     * @returns {Promise<Boolean>} true if events can be read from the journal
+     */
     async isEventJournalReady() {
         const ioEvents = new AdobeIOEvents({
-            accessToken: this.accessToken,
-            orgId: this.integration.technicalAccount.org
+            accessToken: await this.getAccessToken(),
+            orgId: getOrg(this)
         });
         try {
             await ioEvents.getEventsFromJournal(this.journal);
@@ -423,6 +1196,42 @@ class AssetComputeClient extends EventEmitter {
             return false;
         }
     }
+
+    /**
+     * @typedef {Object} AssetComputeWaitUntilReadyOptions
+     * @property {Number} [timeout=120000] Time to wait for the journal in milliseconds
+     * @property {Number} [pollInterval=1000] Time between the first checks, doubled after each check up to 10 seconds
+     * @property {AbortSignal} [signal] Stops waiting, rejecting with an `AbortError`
+     */
+    /**
+     * Wait until the I/O Events journal created by `register()` can be used.
+     * A new journal can take a while, use this instead of a fixed wait after `register()`.
+     *
+     * @param {AssetComputeWaitUntilReadyOptions} [options] Options
+     * @throws {Error} if the journal is not ready within the timeout
+     */
+    async waitUntilReady(options={}) {
+        const { signal } = options;
+        const timeout = options.timeout === undefined ? READY_TIMEOUT_MS : options.timeout;
+        let pollInterval = options.pollInterval || READY_POLL_INTERVAL_MS;
+        if (!this._registered) {
+            throw Error('Must call register before waiting for the event journal');
+        }
+
+        const deadline = Date.now() + timeout;
+        for (;;) {
+            throwIfAborted(signal);
+            if (await this.isEventJournalReady()) {
+                return;
+            }
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                throw Error(`Event journal not ready after ${timeout} ms`);
+            }
+            await sleep(Math.min(pollInterval, remaining), signal);
+            pollInterval = Math.min(pollInterval * READY_POLL_BACKOFF, Math.max(READY_MAX_POLL_INTERVAL_MS, pollInterval));
+        }
+    }
 }
 
 module.exports = {
@@ -0,0 +1,86 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * Routes rendition events to the handlers waiting for their request.
+ *
+ * Unlike an EventEmitter listener per waiter, dispatching an event only
+ * runs the handlers of its request, no matter how many requests are waited for.
+ */
+class RenditionEventDispatcher {
+
+    constructor() {
+        // requestId -> Set of handlers
+        this.handlers = new Map();
+    }
+
+    /**
+     * Add a handler for the events of a request
+     *
+     * @param {String} requestId Activation identifier
+     * @param {Function} handler Called with each rendition event of the request
+     * @returns {Function} removes the handler
+     */
+    add(requestId, handler) {
+        let handlers = this.handlers.get(requestId);
+        if (!handlers) {
+            handlers = new Set();
+            this.handlers.set(requestId, handlers);
+        }
+        handlers.add(handler);
+        return () => this.remove(requestId, handler);
+    }
+
+    /**
+     * Remove a handler
+     *
+     * @param {String} requestId Activation identifier
+     * @param {Function} handler Handler previously added
+     */
+    remove(requestId, handler) {
+        const handlers = this.handlers.get(requestId);
+        if (handlers) {
+            handlers.delete(handler);
+            if (handlers.size === 0) {
+                this.handlers.delete(requestId);
+            }
+        }
+    }
+
+    /**
+     * Call the handlers waiting for the request of the event
+     *
+     * @param {AssetComputeRenditionCreatedEvent|AssetComputeRenditionFailedEvent} event Rendition event
+     */
+    dispatch(event) {
+        const handlers = this.handlers.get(event.requestId);
+        if (handlers) {
+            // handlers may remove themselves
+            for (const handler of [...handlers]) {
+                handler(event);
+            }
+        }
+    }
+
+    /**
+     * @returns {Number} number of requests waited for
+     */
+    get size() {
+        return this.handlers.size;
+    }
+}
+
+module.exports = {
+    RenditionEventDispatcher
+};
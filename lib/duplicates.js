@@ -0,0 +1,86 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const { getRenditionKey } = require("./renditionuserdata");
+
+// renditions remembered, the oldest are forgotten first
+const DEFAULT_MAX_RENDITIONS = 10000;
+
+/**
+ * Decide whether a rendition event repeats one already received for the same rendition.
+ * Adobe I/O Events delivers events at least once, so the same event can arrive again.
+ *
+ * Each rendition keeps the first event received for it, except that a `rendition_created`
+ * event replaces an earlier `rendition_failed` event: the rendition exists, so it succeeded.
+ *
+ * @param {AssetComputeRenditionCreatedEvent|AssetComputeRenditionFailedEvent} event New event
+ * @param {AssetComputeRenditionCreatedEvent|AssetComputeRenditionFailedEvent} [previous] Event kept for the rendition
+ * @returns {String} `undefined` if the event is kept, otherwise why it is dropped: `redelivered` for an event of the
+ *                   same type, `failed_after_created` for a `rendition_failed` event after a `rendition_created` event
+ */
+function getDuplicateReason(event, previous) {
+    if (!previous || (event.type === "rendition_created" && previous.type === "rendition_failed")) {
+        return;
+    }
+    return event.type === previous.type ? "redelivered" : "failed_after_created";
+}
+
+/**
+ * Remembers the event of each rendition of recent requests, to drop events delivered more than once
+ */
+class DuplicateEventFilter {
+
+    /**
+     * @param {Number} [maxRenditions=10000] Number of renditions remembered
+     */
+    constructor(maxRenditions=DEFAULT_MAX_RENDITIONS) {
+        this.maxRenditions = maxRenditions;
+        // `requestId/index` -> event, in the order the renditions were first seen
+        this.renditions = new Map();
+    }
+
+    /**
+     * Record an event, unless it is a duplicate
+     *
+     * @param {AssetComputeRenditionCreatedEvent|AssetComputeRenditionFailedEvent} event Rendition event
+     * @returns {Object} `{ reason, previous }` if the event is a duplicate, otherwise `{ previous }` with the
+     *                   `rendition_failed` event it replaces, if any
+     */
+    check(event) {
+        const key = getRenditionKey(event);
+        if (!key) {
+            return {};
+        }
+        const previous = this.renditions.get(key);
+        const reason = getDuplicateReason(event, previous);
+        if (reason) {
+            return { reason, previous };
+        }
+
+        if (!previous && this.renditions.size >= this.maxRenditions) {
+            this.renditions.delete(this.renditions.keys().next().value);
+        }
+        this.renditions.set(key, event);
+        return { previous };
+    }
+
+    get size() {
+        return this.renditions.size;
+    }
+}
+
+module.exports = {
+    DuplicateEventFilter,
+    getDuplicateReason
+};
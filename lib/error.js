@@ -38,22 +38,139 @@ function isStringifiedNumber(num) {
     return false;
 }
 
+// `X-RateLimit-Reset` values above this are epoch seconds rather than seconds until the reset
+const EPOCH_SECONDS_THRESHOLD = 1000000000;
+
+/**
+ * @typedef {Object} RateLimit
+ * @property {Number} [limit] Number of requests allowed in the current window
+ * @property {Number} [remaining] Number of requests left in the current window
+ * @property {Number} [reset] Seconds until the current window resets
+ */
+/**
+ * Parse the `RateLimit-Limit`, `RateLimit-Remaining` and `RateLimit-Reset` headers,
+ * or their `X-RateLimit-*` variants
+ *
+ * @param {Headers|Object} headers Response headers
+ * @returns {RateLimit} rate limit, undefined if the response has none of the headers
+ */
+function parseRateLimitHeaders(headers) {
+    if (!headers) {
+        return;
+    }
+    const getNumber = name => {
+        const get = header => (typeof headers.get === "function" ? headers.get(header) : headers[header]);
+        const value = isStringifiedNumber(get(`ratelimit-${name}`) || get(`x-ratelimit-${name}`));
+        return value === false ? undefined : value;
+    };
+
+    const rateLimit = {};
+    const limit = getNumber("limit");
+    const remaining = getNumber("remaining");
+    let reset = getNumber("reset");
+    if (reset > EPOCH_SECONDS_THRESHOLD) {
+        reset = Math.max(0, Math.round(reset - Date.now() / 1000));
+    }
+    if (limit !== undefined) {
+        rateLimit.limit = limit;
+    }
+    if (remaining !== undefined) {
+        rateLimit.remaining = remaining;
+    }
+    if (reset !== undefined) {
+        rateLimit.reset = reset;
+    }
+    return Object.keys(rateLimit).length > 0 ? rateLimit : undefined;
+}
+
+/**
+ * @typedef {Object} AssetComputeHttpErrorDetails
+ * @property {Number} [status] HTTP status code of the response
+ * @property {Object|String} [body] Response body, parsed as JSON if possible
+ * @property {String} [endpoint] Asset Compute endpoint that failed, such as `/process`
+ * @property {String} [requestId] Request id from the `x-request-id` response header or the response body
+ * @property {RateLimit} [rateLimit] Rate limit headers of the response
+ * @property {Boolean} [retryable] Override whether the request can be retried
+ */
+/**
+ * Error for a failed HTTP request to Asset Compute
+ * @param message Error message
+ * @param {AssetComputeHttpErrorDetails} details Response details
+ */
+class AssetComputeHttpError extends Error {
+    constructor(message, details={}) {
+        super(message);
+
+        Error.captureStackTrace(this, this.constructor);
+        this.name = "AssetComputeHttpError";
+        this.status = details.status;
+        this.body = details.body;
+        this.endpoint = details.endpoint;
+        this.requestId = details.requestId;
+        this.rateLimit = details.rateLimit;
+        this.retryable = details.retryable !== undefined ? details.retryable : this.isRetryable();
+    }
+
+    /**
+     * @returns {Boolean} true if the same request might succeed later
+     */
+    isRetryable() {
+        return false;
+    }
+}
+
+/**
+ * Invalid, expired or insufficient credentials (401 or 403)
+ */
+class AuthenticationError extends AssetComputeHttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = "AuthenticationError";
+    }
+}
+
+/**
+ * Invalid request (400), or invalid renditions found before sending the request.
+ * `errors` lists every problem found by the client-side validation.
+ */
+class ValidationError extends AssetComputeHttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = "ValidationError";
+        this.errors = (details && details.errors) || [];
+    }
+}
+
+/**
+ * Asset Compute is not available (5xx)
+ */
+class ServiceUnavailableError extends AssetComputeHttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = "ServiceUnavailableError";
+    }
+
+    isRetryable() {
+        return true;
+    }
+}
+
 /**
  * Custom 429 error
  * @param message Error message
  * @param retryAfterHeader `retry-after` header from the response as a stringified number in seconds or a stringified date
+ * @param {AssetComputeHttpErrorDetails} [details] Response details
  * @returns custom error:
  *  {
  *      name: "TooManyRequestsError"
  *      code: 429
- *      retryAfter: 3 // integer in seconds to wait before retrying
+ *      retryAfter: 3 // integer in seconds to wait before retrying, from `retry-after` or the rate limit reset
  *  }
  */
-class TooManyRequestsError extends Error {
-    constructor(message, retryAfterHeader) {
-        super(message);
+class TooManyRequestsError extends AssetComputeHttpError {
+    constructor(message, retryAfterHeader, details) {
+        super(message, { ...details, status: 429 });
 
-        Error.captureStackTrace(this, TooManyRequestsError);
         this.name = "TooManyRequestsError";
         this.code = 429;
 
@@ -72,9 +189,104 @@ class TooManyRequestsError extends Error {
 
             }
         }
+        // otherwise wait until the rate limit window resets
+        if (this.retryAfter === undefined && this.rateLimit && this.rateLimit.reset !== undefined) {
+            this.retryAfter = Math.max(1, this.rateLimit.reset);
+        }
+    }
+
+    isRetryable() {
+        return true;
+    }
+}
+
+/**
+ * The operation was cancelled through its `AbortSignal`
+ * @param [message] Error message
+ */
+class AbortError extends Error {
+    constructor(message="The operation was aborted") {
+        super(message);
+
+        Error.captureStackTrace(this, this.constructor);
+        this.name = "AbortError";
+        this.code = "ABORT_ERR";
+    }
+}
+
+/**
+ * One or more renditions of a request failed
+ * @param message Error message
+ * @param {AssetComputeProcessResult} result Result of the request, `failed` lists the failed renditions
+ */
+class RenditionsFailedError extends Error {
+    constructor(message, result) {
+        super(message);
+
+        Error.captureStackTrace(this, this.constructor);
+        this.name = "RenditionsFailedError";
+        this.requestId = result.requestId;
+        this.result = result;
+        this.failed = result.failed;
+    }
+}
+
+/**
+ * @typedef {Object} AssetComputeTimeoutDetails
+ * @property {String} [requestId] Activation identifier, if waiting for a single request
+ * @property {Array} [events] Rendition events received so far by rendition index, `undefined` for missing renditions
+ * @property {Number[]} [missing] Indexes of the renditions without an event, unknown if no event was received
+ * @property {Number} [pendingRenditions] Number of renditions still pending, if waiting for all requests
+ */
+/**
+ * Waiting for renditions timed out
+ * @param message Error message
+ * @param {AssetComputeTimeoutDetails} [details] Renditions received and missing when the timeout expired
+ */
+class TimeoutError extends Error {
+    constructor(message, details={}) {
+        super(message);
+
+        Error.captureStackTrace(this, this.constructor);
+        this.name = "TimeoutError";
+        this.requestId = details.requestId;
+        this.events = details.events;
+        this.missing = details.missing;
+        this.pendingRenditions = details.pendingRenditions;
+    }
+}
+
+/**
+ * Create the error matching the HTTP status of a failed response
+ *
+ * @param {String} message Error message
+ * @param {AssetComputeHttpErrorDetails} details Response details
+ * @param {String} [retryAfterHeader] `retry-after` header, used for 429
+ * @returns {AssetComputeHttpError} error
+ */
+function createHttpError(message, details, retryAfterHeader) {
+    const status = details.status;
+    if (status === 429) {
+        return new TooManyRequestsError(message, retryAfterHeader, details);
+    } else if (status === 401 || status === 403) {
+        return new AuthenticationError(message, details);
+    } else if (status === 400) {
+        return new ValidationError(message, details);
+    } else if (status >= 500) {
+        return new ServiceUnavailableError(message, details);
     }
+    return new AssetComputeHttpError(message, details);
 }
 
 module.exports = {
-    TooManyRequestsError
-};
\ No newline at end of file
+    AssetComputeHttpError,
+    AuthenticationError,
+    ValidationError,
+    ServiceUnavailableError,
+    TooManyRequestsError,
+    AbortError,
+    RenditionsFailedError,
+    TimeoutError,
+    createHttpError,
+    parseRateLimitHeaders
+};
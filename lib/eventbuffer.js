@@ -0,0 +1,128 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const { getRenditionCount, getRenditionIndex } = require("./renditionuserdata");
+
+// keep rendition events for 10 minutes by default
+const DEFAULT_RETENTION_MS = 10 * 60 * 1000;
+// used if the number of renditions of a request is not known
+const DEFAULT_MAX_EVENTS_PER_REQUEST = 1000;
+// requests kept, the oldest are dropped first
+const DEFAULT_MAX_REQUESTS = 10000;
+
+function getMaxEvents(event) {
+    const count = getRenditionCount(event);
+    return count === undefined ? DEFAULT_MAX_EVENTS_PER_REQUEST : count;
+}
+
+/**
+ * Keeps the rendition events of each request for a limited time, so they can be replayed
+ * to a `waitActivation()` call made after the events were received.
+ *
+ * A request holds at most one event per rendition, and requests are dropped
+ * once their first event is older than the retention time, or the oldest first
+ * once more requests than the maximum are kept.
+ */
+class RenditionEventBuffer {
+
+    /**
+     * @param {Number} [retention=600000] Time in milliseconds to keep the events of a request, 0 disables the buffer
+     * @param {Number} [maxRequests=10000] Maximum number of requests to keep the events of
+     */
+    constructor(retention=DEFAULT_RETENTION_MS, maxRequests=DEFAULT_MAX_REQUESTS) {
+        this.retention = retention;
+        this.maxRequests = maxRequests;
+        // requestId -> { expires, events }, in the order the requests were first seen
+        this.requests = new Map();
+    }
+
+    /**
+     * Store a rendition event
+     *
+     * @param {AssetComputeRenditionCreatedEvent|AssetComputeRenditionFailedEvent} event Rendition event
+     */
+    add(event) {
+        if (this.retention <= 0 || !event.requestId) {
+            return;
+        }
+        this.prune();
+
+        let request = this.requests.get(event.requestId);
+        if (!request) {
+            // Map iterates in insertion order, so the oldest requests come first
+            for (const requestId of this.requests.keys()) {
+                if (this.requests.size < this.maxRequests) {
+                    break;
+                }
+                this.requests.delete(requestId);
+            }
+            request = {
+                expires: Date.now() + this.retention,
+                events: []
+            };
+            this.requests.set(event.requestId, request);
+        }
+        // a later event of the same rendition replaces the previous one
+        const index = getRenditionIndex(event);
+        const existing = index === undefined ? -1 : request.events.findIndex(e => getRenditionIndex(e) === index);
+        if (existing >= 0) {
+            request.events[existing] = event;
+        } else if (request.events.length < getMaxEvents(event)) {
+            request.events.push(event);
+        }
+    }
+
+    /**
+     * Get the stored events of a request
+     *
+     * @param {String} requestId Activation identifier
+     * @returns {Array} rendition events in the order they were received
+     */
+    get(requestId) {
+        this.prune();
+        const request = this.requests.get(requestId);
+        return request ? request.events.slice() : [];
+    }
+
+    /**
+     * Forget the events of a request, e.g. once they have been delivered
+     *
+     * @param {String} requestId Activation identifier
+     */
+    delete(requestId) {
+        this.requests.delete(requestId);
+    }
+
+    /**
+     * Drop expired requests
+     */
+    prune() {
+        const now = Date.now();
+        // Map iterates in insertion order, so the oldest requests come first
+        for (const [requestId, request] of this.requests) {
+            if (request.expires > now) {
+                break;
+            }
+            this.requests.delete(requestId);
+        }
+    }
+
+    get size() {
+        return this.requests.size;
+    }
+}
+
+module.exports = {
+    RenditionEventBuffer
+};
@@ -14,6 +14,21 @@
 
 const { AdobeIOEvents, AdobeIOEventEmitter } = require("@adobe/asset-compute-events-client");
 const EventEmitter = require("events");
+const { getAccessTokenProvider } = require("./accesstoken");
+const { getCheckpointStore } = require("./checkpoint");
+
+// number of recently consumed event ids kept to skip duplicates
+const MAX_EVENT_IDS = 100;
+
+function getEventId(event) {
+    return event.event_id || (event.event && event.event.event_id) || event.position;
+}
+
+// journal URL returning the events after a position
+function getResumeUrl(journal, position) {
+    const separator = journal.indexOf("?") >= 0 ? "&" : "?";
+    return `${journal}${separator}since=${encodeURIComponent(position)}`;
+}
 
 /**
  * Sent for each successfully processed and uploaded rendition.
@@ -64,10 +79,13 @@ class AssetComputeEventEmitter extends EventEmitter {
 
     /**
      * @typedef {Object} AssetComputeEventEmitterOptions
-     * @property {String} accessToken JWT access token
+     * @property {String} accessToken JWT access token (either this or `accessTokenProvider` is required)
+     * @property {AccessTokenProvider|AccessTokenProviderFunction} [accessTokenProvider=] Called for the access token of every journal poll
      * @property {String} org IMS organization
      * @property {String} journal Journal URL
      * @property {Number} [interval=] Override interval at which to poll I/O events (optional)
+     * @property {CheckpointStore|String} [checkpointStore=] Persist the position of the last consumed event and resume
+     *                                 polling from it, instead of the latest events. Either a store or the path of a JSON file.
      */
     /**
      * Construct Asset Compute client
@@ -82,20 +100,81 @@ class AssetComputeEventEmitter extends EventEmitter {
         this.org = options.org;
         this.journal = options.journal;
         this.interval = options.interval;
+        if (options.accessTokenProvider) {
+            this.accessTokenProvider = getAccessTokenProvider(options.accessTokenProvider);
+        }
 
-        // always latest, because we are listening for events that are generated by us only
         this.ioEvents = new AdobeIOEvents({
             accessToken: this.accessToken,
             orgId: this.org
         });
+        if (this.accessTokenProvider) {
+            // get a new access token for every poll, the client id is taken from the token
+            this.ioEvents.getEventsFromJournal = async (journalUrl, options) => {
+                const ioEvents = new AdobeIOEvents({
+                    accessToken: await this.accessTokenProvider(),
+                    orgId: this.org
+                });
+                return ioEvents.getEventsFromJournal(journalUrl, options);
+            };
+        }
+
+        // ids of recently consumed events, oldest first
+        this.eventIds = [];
+
+        if (options.checkpointStore) {
+            this.checkpointStore = getCheckpointStore(options.checkpointStore);
+            this._starting = this.checkpointStore.get(this.journal)
+                .catch(error => {
+                    // start from the latest events
+                    this.emit("error", error);
+                })
+                .then(checkpoint => this.start(checkpoint));
+        } else {
+            this.start();
+        }
+    }
+
+    /**
+     * Start polling the journal
+     *
+     * @param {JournalCheckpoint} [checkpoint] Resume after this checkpoint
+     */
+    start(checkpoint) {
+        if (this._closed) {
+            return;
+        }
+        if (checkpoint && checkpoint.position) {
+            this.checkpoint = checkpoint;
+            this.eventIds = (checkpoint.eventIds || []).slice(-MAX_EVENT_IDS);
+        }
+
+        // latest, because we are listening for events that are generated by us only,
+        // unless we resume after a checkpoint
         this.ioEventsEmitter = new AdobeIOEventEmitter(this.ioEvents, this.journal, {
             latest: true,
+            restart: this.checkpoint && getResumeUrl(this.journal, this.checkpoint.position),
             interval: this.interval
         });
 
+        if (this.checkpointStore) {
+            // polling starts over at the latest events after an error, resume after the checkpoint instead
+            this.ioEventsEmitter.on('poll', () => {
+                if (this.checkpoint && this.ioEventsEmitter.next === this.ioEventsEmitter.journalUrl) {
+                    this.ioEventsEmitter.next = getResumeUrl(this.journal, this.checkpoint.position);
+                }
+            });
+        }
+
         // forward events
         const self = this;
         this.ioEventsEmitter.on('event', event => {
+            const eventId = event && getEventId(event);
+            if (eventId && this.eventIds.includes(eventId)) {
+                // already consumed, e.g. after resuming
+                return;
+            }
+
             if (event && event.event) {
                 const assetComputeEvent = event.event;
                 this.emit(assetComputeEvent.type, assetComputeEvent);
@@ -105,15 +184,59 @@ class AssetComputeEventEmitter extends EventEmitter {
                     Error(`Event is missing 'event' object: ${JSON.stringify(event)}`)
                 );
             }
+
+            if (eventId) {
+                this.eventIds.push(eventId);
+                if (this.eventIds.length > MAX_EVENT_IDS) {
+                    this.eventIds.shift();
+                }
+            }
+            if (this.checkpointStore && event && event.position) {
+                this.checkpoint = {
+                    position: event.position,
+                    eventIds: this.eventIds.slice()
+                };
+                this.saveCheckpoint();
+            }
         });
         this.ioEventsEmitter.on('error', error => self.emit("error", error));
     }
 
+    /**
+     * Persist the latest checkpoint. Only one write runs at a time, events consumed
+     * in the meantime are saved with the next write.
+     */
+    saveCheckpoint() {
+        if (this._saving) {
+            this._saveAgain = true;
+            return this._saving;
+        }
+        this._saving = this.checkpointStore.set(this.journal, this.checkpoint)
+            .catch(error => this.emit("error", error))
+            .then(() => {
+                this._saving = null;
+                if (this._saveAgain) {
+                    this._saveAgain = false;
+                    return this.saveCheckpoint();
+                }
+            });
+        return this._saving;
+    }
+
     /**
      * Stop the AssetComputeEventEmitter
      */
     async close() {
-        return this.ioEventsEmitter.stop();
+        this._closed = true;
+        if (this._starting) {
+            await this._starting;
+        }
+        if (this.ioEventsEmitter) {
+            await this.ioEventsEmitter.stop();
+        }
+        if (this._saving) {
+            await this._saving;
+        }
     }
 
 }
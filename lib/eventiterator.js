@@ -0,0 +1,110 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const DEFAULT_HIGH_WATER_MARK = 1000;
+
+/**
+ * Async iterator over rendition events. Events are buffered until they are read,
+ * up to `highWaterMark` events: beyond that, the oldest unread event is dropped.
+ */
+class RenditionEventIterator {
+
+    /**
+     * @param {Function} [onEnd] Called once when the iteration ends, to remove the event listeners
+     * @param {Object} [options] Options
+     * @param {Number} [options.highWaterMark=1000] Maximum number of unread events kept
+     * @param {Function} [options.onDrop] Called with each event dropped because the buffer is full
+     */
+    constructor(onEnd, options={}) {
+        this.onEnd = onEnd;
+        this.highWaterMark = options.highWaterMark || DEFAULT_HIGH_WATER_MARK;
+        this.onDrop = options.onDrop;
+        this.events = [];
+        // resolves a pending next() call
+        this.waiting = null;
+        this.done = false;
+    }
+
+    /**
+     * Add an event to be read
+     *
+     * @param {AssetComputeRenditionCreatedEvent|AssetComputeRenditionFailedEvent} event Rendition event
+     */
+    push(event) {
+        if (this.done) {
+            return;
+        }
+        if (this.waiting) {
+            const resolve = this.waiting;
+            this.waiting = null;
+            resolve({ value: event, done: false });
+        } else {
+            this.events.push(event);
+            if (this.events.length > this.highWaterMark) {
+                const dropped = this.events.shift();
+                if (this.onDrop) {
+                    this.onDrop(dropped);
+                }
+            }
+        }
+    }
+
+    /**
+     * End the iteration once the buffered events are read
+     */
+    end() {
+        if (this.done) {
+            return;
+        }
+        this.done = true;
+        if (this.onEnd) {
+            this.onEnd();
+        }
+        if (this.waiting) {
+            const resolve = this.waiting;
+            this.waiting = null;
+            resolve({ value: undefined, done: true });
+        }
+    }
+
+    async next() {
+        if (this.events.length > 0) {
+            return { value: this.events.shift(), done: false };
+        }
+        if (this.done) {
+            return { value: undefined, done: true };
+        }
+        return new Promise(resolve => {
+            this.waiting = resolve;
+        });
+    }
+
+    /**
+     * Called when a `for await` loop exits early, drops the buffered events
+     */
+    async return() {
+        this.events = [];
+        this.end();
+        return { value: undefined, done: true };
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+}
+
+module.exports = {
+    DEFAULT_HIGH_WATER_MARK,
+    RenditionEventIterator
+};
@@ -0,0 +1,60 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const fs = require("fs-extra");
+const path = require("path");
+const uuid = require("uuid");
+
+/**
+ * Read a JSON file
+ *
+ * @param {String} file Path of the JSON file
+ * @param {*} defaultValue Returned if the file does not exist or is not valid JSON
+ * @returns {Promise<*>} parsed content of the file
+ */
+async function readJsonFile(file, defaultValue) {
+    try {
+        return await fs.readJson(file);
+    } catch (e) {
+        if (e.code === "ENOENT" || e instanceof SyntaxError) {
+            return defaultValue;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Write a JSON file through a temporary file and a rename, so readers and crashes never see a partial file.
+ * The temporary file is unique, writers sharing the file in the same process do not collide.
+ *
+ * @param {String} file Path of the JSON file, its directory is created if it does not exist
+ * @param {*} value Value to write
+ * @param {Object} [options] Options of `fs.writeFile`, such as the `mode`
+ */
+async function writeJsonFile(file, value, options) {
+    await fs.ensureDir(path.dirname(file));
+    const tmpFile = `${file}.${uuid.v4()}.tmp`;
+    try {
+        await fs.writeFile(tmpFile, JSON.stringify(value), options);
+        await fs.rename(tmpFile, file);
+    } catch (e) {
+        await fs.remove(tmpFile);
+        throw e;
+    }
+}
+
+module.exports = {
+    readJsonFile,
+    writeJsonFile
+};
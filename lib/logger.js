@@ -0,0 +1,64 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const DEFAULT_LOG_LEVEL = "info";
+
+/**
+ * Logger called like pino, with the structured fields first and the message second,
+ * such as `logger.warn({ endpoint: "/process", attempt: 1 }, "Waiting 1000 milliseconds to attempt retry 1")`.
+ *
+ * @typedef {Object} Logger
+ * @property {function(Object, String)} debug Log a debug message
+ * @property {function(Object, String)} info Log an info message
+ * @property {function(Object, String)} warn Log a warning
+ * @property {function(Object, String)} error Log an error
+ */
+
+// only prints the messages, like before loggers could be configured
+const CONSOLE_LOGGER = {
+    debug: (fields, message) => console.debug(message),
+    info: (fields, message) => console.log(message),
+    warn: (fields, message) => console.warn(message),
+    error: (fields, message) => console.error(message)
+};
+
+function noop() {}
+
+/**
+ * Create the logger used by the library
+ *
+ * @param {Logger} [logger] Logger, defaults to the console
+ * @param {String} [level="info"] Minimum level logged: `debug`, `info`, `warn`, `error` or `silent`
+ * @returns {Logger} logger ignoring the messages below the level
+ */
+function createLogger(logger=CONSOLE_LOGGER, level=DEFAULT_LOG_LEVEL) {
+    if (level !== "silent" && !LOG_LEVELS.includes(level)) {
+        throw Error(`Invalid logLevel: ${level}, must be one of ${LOG_LEVELS.join(", ")} or silent`);
+    }
+    const minLevel = level === "silent" ? LOG_LEVELS.length : LOG_LEVELS.indexOf(level);
+    const result = {};
+    LOG_LEVELS.forEach((name, index) => {
+        if (index >= minLevel && typeof logger[name] === "function") {
+            result[name] = (fields, message) => logger[name](fields, message);
+        } else {
+            result[name] = noop;
+        }
+    });
+    return result;
+}
+
+module.exports = {
+    createLogger
+};
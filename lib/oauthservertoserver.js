@@ -14,6 +14,11 @@
 
 const fetch = require("@adobe/node-fetch-retry");
 const FormData = require('form-data');
+const { getTokenCacheKey, isValidToken } = require('./tokencache');
+const { createLogger } = require('./logger');
+
+// IMS access tokens are valid for 24 hours, used if IMS does not return expires_in
+const DEFAULT_EXPIRES_IN = 24 * 60 * 60;
 
 /**
  * Check if an integration configuration is an OAuth Server to Server integration
@@ -41,16 +46,15 @@ function validateOAuthServerToServerIntegration(integration) {
 }
 
 /**
- * Create an access token for an OAuth Server to Server integration
- * 
+ * Request a new access token from IMS, trying each client secret in turn
+ *
  * @param {*} integration Integration configuration
- * @param {string} [adobeLoginHost] IMS host to use, defaults to https://ims-na1.adobelogin.com
- * @returns {string} access token
+ * @param {string} host IMS host
+ * @returns {CachedAccessToken} access token with its expiry
  */
-async function createOAuthServerToServerAccessToken(integration, adobeLoginHost) {
+async function requestAccessToken(integration, host, logger) {
     // API: https://wiki.corp.adobe.com/display/ims/IMS+API+-+Client+Credentials+Token
 
-    const host = adobeLoginHost || "https://ims-na1.adobelogin.com";
     const clientId = integration.CLIENT_ID;
     const scopes = integration.SCOPES.join(',');
 
@@ -68,14 +72,18 @@ async function createOAuthServerToServerAccessToken(integration, adobeLoginHost)
         if (response.ok) {
             const json = await response.json();
             if (json && json.access_token) {
-                return json.access_token;
+                return {
+                    accessToken: json.access_token,
+                    // expires_in is in seconds
+                    expiresAt: Date.now() + (json.expires_in || DEFAULT_EXPIRES_IN) * 1000
+                };
             } else {
                 throw Error("Unexpected response from IMS");
             }
         } else {
             const json = await response.json();
             if (response.status === 400 && json.error === "invalid_client" && json.error_description === "invalid client_secret parameter") {
-                console.warn("Invalid client_secret, trying next one");
+                logger.warn({ clientId }, "Invalid client_secret, trying next one");
             } else {
                 throw Error(`Unable to create access token: ${response.status} ${response.statusText} ${JSON.stringify(json)}`);
             }
@@ -85,6 +93,59 @@ async function createOAuthServerToServerAccessToken(integration, adobeLoginHost)
     throw Error("Unable to create access token, all client_secret tokens failed");
 }
 
+/**
+ * @typedef {Object} OAuthServerToServerAccessTokenOptions
+ * @property {TokenCache} [tokenCache] Cache for access tokens, shared by client id and scopes
+ * @property {Logger} [logger] Logger, defaults to the console
+ * @property {Boolean} [forceRefresh=false] Ignore the cached access token, e.g. after it was rejected,
+ * and replace it with a new one
+ * @property {String} [rejectedAccessToken] With `forceRefresh`, the access token that was rejected. A different
+ * cached access token was refreshed by another caller in the meantime and is used instead of creating one
+ */
+/**
+ * Create an access token for an OAuth Server to Server integration
+ * 
+ * @param {*} integration Integration configuration
+ * @param {string} [adobeLoginHost] IMS host to use, defaults to https://ims-na1.adobelogin.com
+ * @param {OAuthServerToServerAccessTokenOptions} [options] Options
+ * @returns {string} access token
+ */
+async function createOAuthServerToServerAccessToken(integration, adobeLoginHost, options={}) {
+    const host = adobeLoginHost || "https://ims-na1.adobelogin.com";
+    const tokenCache = options.tokenCache;
+    const logger = options.logger || createLogger();
+
+    if (!tokenCache) {
+        const token = await requestAccessToken(integration, host, logger);
+        return token.accessToken;
+    }
+
+    const key = getTokenCacheKey(integration.CLIENT_ID, integration.SCOPES);
+    const { forceRefresh, rejectedAccessToken } = options;
+    const isUsable = token => isValidToken(token) &&
+        (!forceRefresh || (rejectedAccessToken !== undefined && token.accessToken !== rejectedAccessToken));
+
+    const cachedToken = await tokenCache.get(key);
+    if (isUsable(cachedToken)) {
+        return cachedToken.accessToken;
+    }
+
+    const createToken = async () => {
+        // another caller might have created the token while we waited for the lock
+        const token = await tokenCache.get(key);
+        if (isUsable(token)) {
+            return token.accessToken;
+        }
+        const newToken = await requestAccessToken(integration, host, logger);
+        await tokenCache.set(key, newToken);
+        return newToken.accessToken;
+    };
+    if (typeof tokenCache.lock === "function") {
+        return tokenCache.lock(key, createToken);
+    }
+    return createToken();
+}
+
 module.exports = {
     isOAuthServerToServerIntegration,
     validateOAuthServerToServerIntegration,
@@ -0,0 +1,224 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const { AbortError } = require("./error");
+const { throwIfAborted } = require("./abort");
+const { callHook } = require("./retry");
+const { createLogger } = require("./logger");
+
+const DEFAULT_MAX_429_RETRIES = 4;
+// wait while throttled if the 429 response has no `retry-after` header, doubled for each consecutive 429
+const MIN_THROTTLE_WAIT_MS = 1000;
+const MAX_THROTTLE_WAIT_MS = 60000;
+
+function isTooManyRequests(error) {
+    return error && (error.status === 429 || error.code === 429);
+}
+
+/**
+ * @typedef {Object} AssetComputeQueueOptions
+ * @property {Number} [concurrency=Infinity] Maximum number of requests in flight
+ * @property {Number} [ratePerSecond=Infinity] Maximum number of requests started per second
+ * @property {Number} [max429RetryCount=4] Times a request is retried after a 429 response, 0 to not retry
+ * @property {function(RetryInfo)} [onRetry] Called when a request is queued again after a 429 response
+ * @property {function(GiveUpInfo)} [onGiveUp] Called when a request failing with 429 is not retried anymore
+ * @property {Logger} [logger] Logs hooks that throw, defaults to the console
+ */
+/**
+ * Submission queue limiting the number of requests in flight and the request rate.
+ *
+ * When a request fails with a 429, no request is started until the `retry-after` time has passed,
+ * the concurrency is halved and the request is queued again at the front.
+ * Each successful request raises the concurrency by one, up to the configured maximum.
+ */
+class RequestQueue {
+
+    /**
+     * @param {AssetComputeQueueOptions} [options] Options
+     */
+    constructor(options={}) {
+        this.concurrency = options.concurrency || Infinity;
+        this.interval = options.ratePerSecond ? 1000 / options.ratePerSecond : 0;
+        this.max429RetryCount = options.max429RetryCount === undefined ? DEFAULT_MAX_429_RETRIES : options.max429RetryCount;
+        this.onRetry = options.onRetry;
+        this.onGiveUp = options.onGiveUp;
+        this.logger = options.logger || createLogger();
+
+        // concurrency lowered while the service responds with 429
+        this.limit = this.concurrency;
+        this.throttledUntil = 0;
+        this.throttleWait = 0;
+
+        this.tasks = [];
+        this.pending = 0;
+        this.paused = false;
+        this.lastStart = -Infinity;
+        this.idleWaiters = [];
+    }
+
+    /**
+     * @returns {Number} number of requests waiting to be started
+     */
+    get size() {
+        return this.tasks.length;
+    }
+
+    /**
+     * Queue a request
+     *
+     * @param {Function} asyncFunc Starts the request, called again if it fails with a 429
+     * @param {Object} [options] Options
+     * @param {AbortSignal} [options.signal] Removes the request from the queue, rejecting with an `AbortError`
+     * @returns {Promise} resolves to the result of `asyncFunc`
+     */
+    add(asyncFunc, options={}) {
+        const { signal } = options;
+        return new Promise((resolve, reject) => {
+            throwIfAborted(signal);
+            const task = { asyncFunc, resolve, reject, signal, attempt: 0 };
+            if (signal) {
+                task.onAbort = () => {
+                    // requests in flight are cancelled by the signal itself
+                    const index = this.tasks.indexOf(task);
+                    if (index >= 0) {
+                        this.tasks.splice(index, 1);
+                        reject(new AbortError());
+                        this.checkIdle();
+                    }
+                };
+                signal.addEventListener("abort", task.onAbort);
+            }
+            this.tasks.push(task);
+            this.next();
+        });
+    }
+
+    /**
+     * Stop starting queued requests, requests in flight are not affected
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Start queued requests again after `pause()`
+     */
+    resume() {
+        this.paused = false;
+        this.next();
+    }
+
+    /**
+     * @returns {Promise} resolves once the queue is empty and no request is in flight
+     */
+    async onIdle() {
+        if (this.tasks.length === 0 && this.pending === 0) {
+            return;
+        }
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    next() {
+        if (this.paused || this.timer) {
+            return;
+        }
+        while (this.tasks.length > 0 && this.pending < this.limit) {
+            const wait = Math.max(this.throttledUntil, this.lastStart + this.interval) - Date.now();
+            if (wait > 0) {
+                this.timer = setTimeout(() => {
+                    this.timer = undefined;
+                    this.next();
+                }, wait);
+                return;
+            }
+            this.run(this.tasks.shift());
+        }
+    }
+
+    async run(task) {
+        this.pending += 1;
+        this.lastStart = Date.now();
+        try {
+            const result = await task.asyncFunc();
+            this.unthrottle();
+            this.settle(task);
+            task.resolve(result);
+        } catch (error) {
+            const aborted = task.signal && task.signal.aborted;
+            if (!aborted && isTooManyRequests(error) && task.attempt < this.max429RetryCount) {
+                task.attempt += 1;
+                this.throttle(error);
+                this.tasks.unshift(task);
+                if (this.onRetry) {
+                    callHook(this.logger, this.onRetry, {
+                        attempt: task.attempt,
+                        delayMs: Math.max(0, this.throttledUntil - Date.now()),
+                        error
+                    });
+                }
+            } else {
+                if (!aborted && isTooManyRequests(error) && this.onGiveUp) {
+                    callHook(this.logger, this.onGiveUp, { attempts: task.attempt + 1, error });
+                }
+                this.settle(task);
+                task.reject(error);
+            }
+        } finally {
+            this.pending -= 1;
+            this.next();
+            this.checkIdle();
+        }
+    }
+
+    settle(task) {
+        if (task.signal) {
+            task.signal.removeEventListener("abort", task.onAbort);
+        }
+    }
+
+    throttle(error) {
+        const now = Date.now();
+        // requests in flight during the same throttling lower the concurrency only once
+        if (now >= this.throttledUntil) {
+            this.limit = Math.max(1, Math.floor(Math.min(this.limit, this.pending) / 2));
+        }
+        let wait;
+        if (typeof error.retryAfter === "number" && error.retryAfter >= 0) {
+            wait = error.retryAfter * 1000;
+        } else {
+            this.throttleWait = Math.min(Math.max(MIN_THROTTLE_WAIT_MS, this.throttleWait * 2), MAX_THROTTLE_WAIT_MS);
+            wait = this.throttleWait;
+        }
+        this.throttledUntil = Math.max(this.throttledUntil, now + wait);
+    }
+
+    unthrottle() {
+        this.throttleWait = 0;
+        if (this.limit < this.concurrency) {
+            this.limit += 1;
+        }
+    }
+
+    checkIdle() {
+        if (this.tasks.length === 0 && this.pending === 0) {
+            const waiters = this.idleWaiters;
+            this.idleWaiters = [];
+            waiters.forEach(resolve => resolve());
+        }
+    }
+}
+
+module.exports = {
+    RequestQueue
+};
@@ -0,0 +1,243 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const { getBackoffDelay, validateBackoff } = require("./retrypolicy");
+const { getClientUserData } = require("./renditionuserdata");
+
+/**
+ * @typedef {Object} RenditionRetryPolicy
+ * @property {String[]|Object<String, Number>} [errorReasons=["GenericError"]] `errorReason`s of failed renditions to retry,
+ *                                            or an object with the maximum number of attempts for each `errorReason`
+ * @property {Number} [maxAttempts=3] Maximum number of attempts of a rendition, including the first one
+ * @property {String} [backoff="exponential"] Delay between attempts: `fixed`, `exponential` or `decorrelated`, like `RetryPolicy`
+ * @property {Number} [minDelay=1000] Minimum delay in milliseconds
+ * @property {Number} [maxDelay=60000] Maximum delay in milliseconds
+ */
+const DEFAULT_RENDITION_RETRY_POLICY = {
+    errorReasons: ["GenericError"],
+    maxAttempts: 3,
+    backoff: "exponential",
+    minDelay: 1000,
+    maxDelay: 60000
+};
+
+function isAttemptCount(value) {
+    return Number.isInteger(value) && value >= 1;
+}
+
+/**
+ * Get the rendition retry policy from the `renditionRetry` option
+ *
+ * @param {Boolean|RenditionRetryPolicy} option `true` for the default policy, or a policy
+ * @returns {RenditionRetryPolicy} policy with all properties set, `errorReasons` as object
+ */
+function getRenditionRetryPolicy(option) {
+    const policy = { ...DEFAULT_RENDITION_RETRY_POLICY, ...(option === true ? {} : option) };
+    validateBackoff(policy, "renditionRetry");
+
+    let errorReasons = policy.errorReasons;
+    if (Array.isArray(errorReasons)) {
+        errorReasons = Object.fromEntries(errorReasons.map(errorReason => [errorReason, policy.maxAttempts]));
+    } else if (!errorReasons || typeof errorReasons !== "object" || !Object.values(errorReasons).every(isAttemptCount)) {
+        throw Error("Invalid renditionRetry: errorReasons must be an array or an object with the maximum attempts by errorReason");
+    }
+    return { ...policy, errorReasons };
+}
+
+/**
+ * @typedef {Object} RenditionAttempt
+ * @property {Number} attempt Number of the attempt, starting at 1
+ * @property {String} requestId Activation identifier of the attempt
+ * @property {String} type Event type of the attempt, `rendition_created` or `rendition_failed`
+ * @property {String} [errorReason] Failure reason, if it failed
+ * @property {String} [errorMessage] Failure details, if it failed
+ * @property {String} [date] Time the event was sent
+ */
+/**
+ * @typedef {Object} RenditionRetryInfo
+ * @property {String} requestId Activation identifier of the original request
+ * @property {Number} index Index of the rendition in the original request
+ * @property {Number} attempt Number of the next attempt
+ * @property {Number} delayMs Time in milliseconds until the rendition is submitted again
+ * @property {AssetComputeRenditionFailedEvent} event Failure of the previous attempt
+ */
+/**
+ * Submits failed renditions again, as a new request with only the failed rendition.
+ * The events of these requests are reported as events of the original request, with the
+ * history of all attempts in `attempts`.
+ */
+class RenditionRetrier {
+
+    /**
+     * @param {Boolean|RenditionRetryPolicy} policy Retry policy
+     * @param {Object} callbacks Callbacks
+     * @param {function(Object, Object[], Object): Promise} callbacks.submit Submits a request,
+     *                                                 called with the source, renditions and user data
+     * @param {function(Object, Object)} callbacks.deliver Delivers a final event, if a retry could not be submitted
+     *                                                 or the event was held until its request was tracked
+     * @param {function(RenditionRetryInfo)} [callbacks.onRetry] Called when a rendition is retried
+     */
+    constructor(policy, { submit, deliver, onRetry }) {
+        this.policy = getRenditionRetryPolicy(policy);
+        this.submit = submit;
+        this.deliver = deliver;
+        this.onRetry = onRetry;
+        // original requestId -> { source, renditions, userData, pending, attempts: [RenditionAttempt[]] }
+        this.requests = new Map();
+        this.timers = new Set();
+        // requests waiting for the /process response, and the events held until then
+        this.submissions = 0;
+        this.held = [];
+    }
+
+    /**
+     * Announce a request being submitted. Until its response arrives, events of requests
+     * that are not tracked are held, as they might belong to it.
+     *
+     * @returns {function(String, Object)} call with the requestId and request once submitted,
+     *                                     or without arguments if the submission failed
+     */
+    submitting() {
+        this.submissions += 1;
+        return (requestId, request) => {
+            this.submissions -= 1;
+            if (requestId) {
+                this.track(requestId, request);
+            }
+            this.releaseHeld();
+        };
+    }
+
+    /**
+     * Remember a submitted request, so its failed renditions can be submitted again
+     *
+     * @param {String} requestId Activation identifier
+     * @param {Object} request Source, renditions and user data as sent to `/process`
+     */
+    track(requestId, request) {
+        this.requests.set(requestId, {
+            ...request,
+            pending: request.renditions.length,
+            attempts: request.renditions.map(() => []),
+            delays: []
+        });
+    }
+
+    /**
+     * Handle a rendition event, retrying the rendition if it failed with a retryable reason
+     *
+     * @param {AssetComputeRenditionCreatedEvent|AssetComputeRenditionFailedEvent} event Rendition event
+     * @param {Object} [previous] Event of the rendition received before, passed to `deliver` if the event is held
+     * @returns {Object} the event to deliver as event of the original request, `undefined` if the rendition
+     *                   is retried or the event is held
+     */
+    handle(event, previous) {
+        const userData = getClientUserData(event);
+        const requestId = userData.retryOf || event.requestId;
+        const request = this.requests.get(requestId);
+        const attempts = request && request.attempts[userData.index];
+        if (!attempts) {
+            if (!request && this.submissions > 0) {
+                // can arrive before the response of its /process call
+                this.held.push({ event, previous });
+                return;
+            }
+            return event;
+        }
+
+        attempts.push({
+            attempt: attempts.length + 1,
+            requestId: event.requestId,
+            type: event.type,
+            errorReason: event.errorReason,
+            errorMessage: event.errorMessage,
+            date: event.date
+        });
+        const finalEvent = { ...event, requestId, attempts: attempts.slice() };
+        if (this.shouldRetry(event, attempts.length)) {
+            this.retry(request, requestId, userData.index, finalEvent);
+            return;
+        }
+        this.complete(requestId, request);
+        return finalEvent;
+    }
+
+    shouldRetry(event, attempt) {
+        const maxAttempts = this.policy.errorReasons[event.errorReason];
+        return event.type === "rendition_failed" && maxAttempts !== undefined && attempt < maxAttempts;
+    }
+
+    retry(request, requestId, index, event) {
+        const attempt = event.attempts.length + 1;
+        const delayMs = getBackoffDelay(this.policy, event.attempts.length, request.delays[index]);
+        request.delays[index] = delayMs;
+        if (this.onRetry) {
+            this.onRetry({ requestId, index, attempt, delayMs, event });
+        }
+
+        const rendition = request.renditions[index];
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            this.submit(request.source, [{
+                ...rendition,
+                userData: {
+                    ...rendition.userData,
+                    assetComputeClient: {
+                        ...rendition.userData.assetComputeClient,
+                        retryOf: requestId,
+                        attempt
+                    }
+                }
+            }], request.userData).catch(error => {
+                // the last failure is final
+                this.complete(requestId, request);
+                this.deliver({ ...event, retryError: error });
+            });
+        }, delayMs);
+        this.timers.add(timer);
+    }
+
+    releaseHeld() {
+        const held = this.held;
+        this.held = [];
+        for (const { event, previous } of held) {
+            // held again while other requests are still submitted
+            const finalEvent = this.handle(event, previous);
+            if (finalEvent) {
+                this.deliver(finalEvent, previous);
+            }
+        }
+    }
+
+    complete(requestId, request) {
+        request.pending -= 1;
+        if (request.pending <= 0) {
+            this.requests.delete(requestId);
+        }
+    }
+
+    /**
+     * Cancel the pending retries
+     */
+    close() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.held = [];
+    }
+}
+
+module.exports = {
+    RenditionRetrier,
+    getRenditionRetryPolicy
+};
@@ -0,0 +1,82 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * Accessors for the data the client adds to the `userData` of each rendition it sends,
+ * which Asset Compute returns in the rendition of its events.
+ */
+
+/**
+ * Get the client data of the rendition of an event
+ *
+ * @param {AssetComputeRenditionCreatedEvent|AssetComputeRenditionFailedEvent} event Rendition event
+ * @returns {Object} `userData.assetComputeClient` of the rendition, empty if missing
+ */
+function getClientUserData(event) {
+    return (event.rendition &&
+        event.rendition.userData &&
+        event.rendition.userData.assetComputeClient) || {};
+}
+
+/**
+ * Get the index of the rendition of an event in its request
+ *
+ * @param {AssetComputeRenditionCreatedEvent|AssetComputeRenditionFailedEvent} event Rendition event
+ * @returns {Number} rendition index, `undefined` if not known
+ */
+function getRenditionIndex(event) {
+    return getClientUserData(event).index;
+}
+
+/**
+ * Get the number of renditions of the request of an event
+ *
+ * @param {AssetComputeRenditionCreatedEvent|AssetComputeRenditionFailedEvent} event Rendition event
+ * @returns {Number} rendition count, `undefined` if not known
+ */
+function getRenditionCount(event) {
+    const { length } = getClientUserData(event);
+    return typeof length === "number" ? length : undefined;
+}
+
+/**
+ * Get the `id` the caller gave the rendition of an event
+ *
+ * @param {AssetComputeRenditionCreatedEvent|AssetComputeRenditionFailedEvent} event Rendition event
+ * @returns {String|Number} rendition id, `undefined` if the rendition has none
+ */
+function getRenditionId(event) {
+    return getClientUserData(event).renditionId;
+}
+
+/**
+ * Get a key identifying the rendition of an event across its events
+ *
+ * @param {AssetComputeRenditionCreatedEvent|AssetComputeRenditionFailedEvent} event Rendition event
+ * @returns {String} `<requestId>/<index>`, `undefined` if the rendition can not be identified
+ */
+function getRenditionKey(event) {
+    const index = getRenditionIndex(event);
+    if (event.requestId && typeof index === "number") {
+        return `${event.requestId}/${index}`;
+    }
+}
+
+module.exports = {
+    getClientUserData,
+    getRenditionIndex,
+    getRenditionCount,
+    getRenditionId,
+    getRenditionKey
+};
@@ -0,0 +1,161 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const { readJsonFile, writeJsonFile } = require("./jsonfile");
+
+/**
+ * @typedef {Object} AssetComputePendingRequest
+ * @property {String} requestId Activation identifier returned by /process
+ * @property {String} clientId Id of the `AssetComputeClient` that submitted the request
+ * @property {AssetComputeSource|String} source Source asset
+ * @property {AssetComputeRendition[]} renditions Requested renditions
+ * @property {Object} [userData] User data associated with the request
+ * @property {Number} submittedAt Time the request was submitted, in milliseconds since epoch
+ * @property {Array} events Rendition event received for each rendition, by index, `null` while pending
+ */
+/**
+ * Store for submitted requests. Implement these methods to plug in your own store.
+ *
+ * @typedef {Object} RequestStore
+ * @property {function(AssetComputePendingRequest): Promise} add Record a submitted request
+ * @property {function(String, Number, Object): Promise} complete Record the event of a rendition by its index,
+ *                                                              requests are removed once all renditions completed
+ * @property {function(): Promise<AssetComputePendingRequest[]>} listPending Requests with renditions still pending
+ */
+
+/**
+ * Submitted requests kept in memory, lost when the process exits
+ */
+class MemoryRequestStore {
+
+    constructor() {
+        // requestId -> AssetComputePendingRequest
+        this.requests = new Map();
+    }
+
+    async add(request) {
+        this.requests.set(request.requestId, {
+            ...request,
+            events: request.events || new Array(request.renditions.length).fill(null)
+        });
+    }
+
+    async complete(requestId, index, event) {
+        const request = this.requests.get(requestId);
+        if (!request || index < 0 || index >= request.events.length) {
+            return;
+        }
+        request.events[index] = event;
+        if (request.events.every(e => e)) {
+            this.requests.delete(requestId);
+        }
+    }
+
+    async listPending() {
+        return [...this.requests.values()];
+    }
+}
+
+/**
+ * Submitted requests in a JSON file, so a restarted process can resume waiting for them.
+ * Use a separate file for each process.
+ */
+class FileRequestStore extends MemoryRequestStore {
+
+    /**
+     * @param {String} file Path of the JSON file storing the requests, it is created if it does not exist
+     */
+    constructor(file) {
+        super();
+        if (!file) {
+            throw Error("FileRequestStore requires a file path");
+        }
+        this.file = file;
+    }
+
+    async add(request) {
+        await this.load();
+        await super.add(request);
+        return this.save();
+    }
+
+    async complete(requestId, index, event) {
+        await this.load();
+        await super.complete(requestId, index, event);
+        return this.save();
+    }
+
+    async listPending() {
+        await this.load();
+        return super.listPending();
+    }
+
+    async load() {
+        if (!this._loading) {
+            this._loading = readJsonFile(this.file, []).then(requests => {
+                for (const request of requests) {
+                    this.requests.set(request.requestId, request);
+                }
+            });
+        }
+        return this._loading;
+    }
+
+    /**
+     * Persist the requests. Only one write runs at a time, changes made in the meantime
+     * are saved with the next write.
+     */
+    save() {
+        if (this._saving) {
+            this._saveAgain = true;
+            return this._saving;
+        }
+        this._saving = this.write()
+            .finally(() => {
+                this._saving = null;
+            })
+            .then(() => {
+                if (this._saveAgain) {
+                    this._saveAgain = false;
+                    return this.save();
+                }
+            });
+        return this._saving;
+    }
+
+    async write() {
+        await writeJsonFile(this.file, [...this.requests.values()]);
+    }
+}
+
+/**
+ * Normalize the `requestStore` option
+ *
+ * @param {RequestStore|String} store Request store, or the path of a file for a `FileRequestStore`
+ * @returns {RequestStore} request store
+ */
+function getRequestStore(store) {
+    if (typeof store === "string") {
+        return new FileRequestStore(store);
+    } else if (store && ["add", "complete", "listPending"].every(method => typeof store[method] === "function")) {
+        return store;
+    }
+    throw Error("requestStore must be a file path or an object with add(), complete() and listPending() functions");
+}
+
+module.exports = {
+    MemoryRequestStore,
+    FileRequestStore,
+    getRequestStore
+};
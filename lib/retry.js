@@ -12,12 +12,11 @@
 
 "use strict";
 const clone = require('clone');
+const { AbortError } = require('./error');
 
-const MAX_RETRY_ON_HTTP_429 = 4;
-const MAX_RETRY_WAIT_TIME_MS = 60000; // maximum time in ms to wait before retrying if no `retry-after` header is sent
-const MIN_RETRY_WAIT_TIME_MS = 30000; // minimum time in ms to wait before retrying if no `retry-after` header is sent
-const TOO_MANY_REQUEST_ERROR = 'TooManyRequestsError';
-const TOO_MANY_REQUEST_ERROR_CODE = 429;
+const { getRetryPolicy, isRetryable, getBackoffDelay } = require('./retrypolicy');
+const { createLogger } = require('./logger');
+const { createTelemetry } = require('./telemetry');
 
 /**
  * Filter out the retry options
@@ -38,11 +37,13 @@ function filterOptions(options={}) {
 /**
      * Determine time in milliseconds to wait until retrying
      * @param {number} retryAfter optional amount in seconds to wait for until retrying
+     * @param {RetryPolicy} [policy] retry policy, defaults to waiting 30-60 seconds
+     * @param {Number} [attempt=1] number of the failed attempt
+     * @param {Number} [previousDelay] delay before the failed attempt
      * @returns waitTime in milliseconds to wait before retrying
      */
-function retryWaitTime(retryAfter) {
-    // randomly choose between 30-60 seconds waittime
-    let waitTime = Math.floor(Math.random() * (MAX_RETRY_WAIT_TIME_MS - MIN_RETRY_WAIT_TIME_MS + 1)) + MIN_RETRY_WAIT_TIME_MS;
+function retryWaitTime(retryAfter, policy=getRetryPolicy(), attempt=1, previousDelay) {
+    let waitTime = getBackoffDelay(policy, attempt, previousDelay);
 
     // API gateway `retry-after` header is the amount of time in seconds to wait before retrying
     if (retryAfter && typeof(retryAfter) === 'number' && !isNaN(retryAfter)) {
@@ -51,53 +52,143 @@ function retryWaitTime(retryAfter) {
     return waitTime;
 }
 
+function isTooManyRequests(error) {
+    return error.status === 429;
+}
+
 /**
-     * Determine if should retry on 429
-     * 
-     * It will return true if the response was a 429 error and it has not reached max retry count
-     * @param {Number} attempt 
+     * Determine if should retry
+     *
+     * It will return true if the policy retries the error, it has not reached the max attempts
+     * and the next attempt starts before the deadline
+     * @param {Number} attempt number of the failed attempt
      * @param {Error} error instance of error object
-     * @param {Object} retryOpts Retry options
-     * @returns 
+     * @param {RetryPolicy} policy Retry policy
+     * @param {Number} elapsed time in milliseconds since the first attempt, including the wait for the next one
+     * @returns
      */
-function shouldRetry(attempt, error, retryOpts) {
-    // if retry is disabled, return false
-    if (retryOpts.disable429Retry) {
-        return false;
-    }
-    if (error.code === TOO_MANY_REQUEST_ERROR_CODE && error.name === TOO_MANY_REQUEST_ERROR) {
-        return attempt < retryOpts.max429RetryCount;
-    } else {
+function shouldRetry(attempt, error, policy, elapsed) {
+    if (attempt >= policy.maxAttempts || !isRetryable(policy, error)) {
         return false;
     }
+    return policy.deadline === undefined || elapsed <= policy.deadline;
 }
 /**
- * @typedef {Object} RetryOptions
- * @property {Number} [max429RetryCount=4] max amount of times to retry on 429s
+ * @typedef {Object} RetryInfo
+ * @property {Number} attempt Number of the retry, starting at 1
+ * @property {Number} delayMs Time in milliseconds until the retry
+ * @property {Error} error Failure of the previous attempt
+ * @property {String} [endpoint] Asset Compute endpoint, such as `/process`
+ */
+/**
+ * @typedef {Object} GiveUpInfo
+ * @property {Number} attempts Number of attempts made
+ * @property {Error} error Failure of the last attempt, rejected to the caller
+ * @property {String} [endpoint] Asset Compute endpoint, such as `/process`
+ */
+/**
+ * @typedef {Object} RetryContext
+ * @property {AbortSignal} [signal] Cancels the call and any pending retry
+ * @property {BackpressureGate} [backpressure] Holds the call while throttled, throttled by 429 responses
+ * @property {String} [endpoint] Endpoint passed to the hooks
+ * @property {function(RetryInfo)} [onRetry] Called before waiting for a retry, logs a warning if not set
+ * @property {function(GiveUpInfo)} [onGiveUp] Called when a retryable failure is not retried anymore
+ * @property {Logger} [logger] Logger for retries without `onRetry` hook and failing hooks
+ * @property {Telemetry} [telemetry] Traces the call and each of its attempts
+ * @property {Object} [attributes] Span attributes of the call
  */
+
+/**
+ * Log a retry as warning
+ *
+ * @param {Logger} logger Logger
+ * @param {RetryInfo} info Retry
+ */
+function logRetry(logger, { attempt, delayMs, error, endpoint }) {
+    logger.warn({
+        endpoint,
+        attempt,
+        delayMs,
+        requestId: error.requestId,
+        status: error.status,
+        error: error.message
+    }, `Waiting ${delayMs} milliseconds to attempt retry ${attempt}, failure: ${error.message}`);
+}
+
+function callHook(logger, hook, info) {
+    try {
+        hook(info);
+    } catch (e) {
+        // a failing hook must not stop the retries
+        logger.error({ endpoint: info.endpoint, error: e.message }, `Retry hook failed: ${e.message}`);
+    }
+}
+
 /**
  * Invoke a function with retry one failure support
  *
  * @param {Function} asyncFunc Asynchronous function to call
  * @param {Object} options Options to pass to asynchronous function
- * @param {RetryOptions} retryOpts Retry options
+ * @param {RetryPolicy} policy Retry policy
+ * @param {RetryContext} [context] Signal, backpressure and hooks
+ * @param {Span} [span] Span of the call
  */
-async function retryInvoke(asyncFunc, options, retryOpts) {
+async function retryInvoke(asyncFunc, options, policy, context={}, span) {
+    const { signal, backpressure, endpoint } = context;
+    const logger = context.logger || createLogger();
+    const onRetry = context.onRetry || (info => logRetry(logger, info));
+    const telemetry = context.telemetry || createTelemetry(false);
     return new Promise((resolve, reject) => {
+        let timer;
+        const start = Date.now();
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new AbortError());
+        };
+        const done = () => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        };
+        if (signal) {
+            if (signal.aborted) {
+                return reject(new AbortError());
+            }
+            signal.addEventListener('abort', onAbort);
+        }
+
         async function invoke(attempt, ms) {
+            if (signal && signal.aborted) {
+                // already rejected
+                return;
+            }
             try {
-                if (attempt > 0) {
-                    console.warn(`Attempting retry ${attempt} after waiting ${ms} milliseconds.`);
+                if (backpressure) {
+                    await backpressure.wait(signal);
                 }
-                return resolve(await asyncFunc(options));
+                const result = await telemetry.traceAttempt(span, endpoint, attempt + 1, () => asyncFunc(options));
+                done();
+                return resolve(result);
             } catch (error) {
-                if (shouldRetry(attempt, error, retryOpts)) {
-                    const ms = retryWaitTime(error.retryAfter);
-                    console.warn(`Waiting ${ms} milliseconds to attempt retry ${attempt + 1}, failure: ${error.message}`);
-
-                    setTimeout(invoke, ms, attempt + 1, ms);
+                if (backpressure && isTooManyRequests(error) && typeof error.retryAfter === 'number') {
+                    // hold the other calls until the service accepts requests again
+                    backpressure.throttle(error.retryAfter * 1000);
+                }
+                if (signal && signal.aborted) {
+                    // already rejected with an AbortError
                 } else {
-                    return reject(error);
+                    // `attempt` counts the retries, `ms` is the previous delay
+                    const delay = retryWaitTime(error.retryAfter, policy, attempt + 1, ms);
+                    if (!shouldRetry(attempt + 1, error, policy, Date.now() - start + delay)) {
+                        if (context.onGiveUp && isRetryable(policy, error)) {
+                            callHook(logger, context.onGiveUp, { attempts: attempt + 1, error, endpoint });
+                        }
+                        done();
+                        return reject(error);
+                    }
+                    callHook(logger, onRetry, { attempt: attempt + 1, delayMs: delay, error, endpoint });
+
+                    timer = setTimeout(invoke, delay, attempt + 1, delay);
                 }
             }
         }
@@ -109,17 +200,21 @@ async function retryInvoke(asyncFunc, options, retryOpts) {
  * Add retry support to the given asynchronous function
  *
  * @param {Function} asyncFunc Asynchronous function
+ * @param {Object} options Options to pass to asynchronous function
+ * @param {RetryContext} [context] Signal, backpressure shared with other calls and retry hooks
  * @returns Asynchronous function with retry support
  */
-async function retry(asyncFunc, options) {
-    const retryOpts = {
-        max429RetryCount: options && options.max429RetryCount || MAX_RETRY_ON_HTTP_429,
-        disable429Retry: options && options.disable429Retry || false
-    };
+async function retry(asyncFunc, options, context={}) {
+    const policy = getRetryPolicy(options || {});
     options = filterOptions(options); // remove retry options from options passed to actual fetch
-    return retryInvoke(asyncFunc, options, retryOpts);
+    if (!context.telemetry) {
+        return retryInvoke(asyncFunc, options, policy, context);
+    }
+    return context.telemetry.traceCall(context.endpoint, span => retryInvoke(asyncFunc, options, policy, context, span), context.attributes);
 }
 
 module.exports = {
-    retry
+    retry,
+    logRetry,
+    callHook
 };
\ No newline at end of file
@@ -0,0 +1,170 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const BACKOFF_STRATEGIES = ["fixed", "exponential", "decorrelated"];
+const MAX_RETRY_ON_HTTP_429 = 4;
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {Number[]} [statuses=[429,500,502,503,504]] HTTP statuses to retry
+ * @property {String[]} [errorCodes] Network error codes to retry, defaults to
+ *                                   `ECONNRESET`, `ECONNREFUSED`, `ETIMEDOUT`, `EPIPE` and `EAI_AGAIN`.
+ *                                   Socket timeouts have the code `ETIMEDOUT`.
+ * @property {String} [backoff="exponential"] Delay between attempts: `fixed` waits a random time between
+ *                                            `minDelay` and `maxDelay`, `exponential` doubles `minDelay` after each attempt,
+ *                                            `decorrelated` waits a random time between `minDelay` and three times the previous delay
+ * @property {Number} [minDelay=1000] Minimum delay in milliseconds
+ * @property {Number} [maxDelay=60000] Maximum delay in milliseconds, a `retry-after` response header takes precedence
+ * @property {Number} [maxAttempts=5] Maximum number of attempts, including the first one
+ * @property {Number} [deadline=] Time in milliseconds after which no attempt is started anymore
+ */
+const DEFAULT_RETRY_POLICY = {
+    statuses: [429, 500, 502, 503, 504],
+    errorCodes: ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN"],
+    backoff: "exponential",
+    minDelay: 1000,
+    maxDelay: 60000,
+    maxAttempts: MAX_RETRY_ON_HTTP_429 + 1
+};
+
+// without a retryPolicy only 429s are retried, other failures are retried by node-fetch-retry
+const LEGACY_RETRY_POLICY = {
+    statuses: [429],
+    errorCodes: [],
+    backoff: "fixed",
+    minDelay: 30000,
+    maxDelay: 60000,
+    maxAttempts: MAX_RETRY_ON_HTTP_429 + 1
+};
+
+function isPositiveNumber(value) {
+    return typeof value === "number" && value >= 0;
+}
+
+/**
+ * Validate the backoff, delays and attempts shared by the retry policies
+ *
+ * @param {Object} policy Policy with `backoff`, `minDelay`, `maxDelay` and `maxAttempts`
+ * @param {String} name Name of the option, for the error messages
+ */
+function validateBackoff(policy, name) {
+    if (!BACKOFF_STRATEGIES.includes(policy.backoff)) {
+        throw Error(`Invalid ${name}: backoff must be one of ${BACKOFF_STRATEGIES.join(", ")}: ${policy.backoff}`);
+    }
+    if (!isPositiveNumber(policy.minDelay) || !isPositiveNumber(policy.maxDelay) || policy.minDelay > policy.maxDelay) {
+        throw Error(`Invalid ${name}: minDelay and maxDelay must be positive with minDelay <= maxDelay: ${policy.minDelay}, ${policy.maxDelay}`);
+    }
+    if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+        throw Error(`Invalid ${name}: maxAttempts must be an integer of at least 1: ${policy.maxAttempts}`);
+    }
+}
+
+function validateRetryPolicy(policy) {
+    validateBackoff(policy, "retryPolicy");
+    if (!Array.isArray(policy.statuses) || !Array.isArray(policy.errorCodes)) {
+        throw Error("Invalid retryPolicy: statuses and errorCodes must be arrays");
+    }
+    if (policy.deadline !== undefined && !isPositiveNumber(policy.deadline)) {
+        throw Error(`Invalid retryPolicy: deadline must be a positive number: ${policy.deadline}`);
+    }
+}
+
+/**
+ * Get the retry policy from the options
+ *
+ * @param {Object} [options] Options with `retryPolicy`, or the `max429RetryCount` and `disable429Retry` options
+ * @returns {RetryPolicy} retry policy with all properties set
+ */
+function getRetryPolicy(options={}) {
+    let policy;
+    if (options.retryPolicy) {
+        policy = { ...DEFAULT_RETRY_POLICY, ...options.retryPolicy };
+        validateRetryPolicy(policy);
+    } else {
+        policy = {
+            ...LEGACY_RETRY_POLICY,
+            maxAttempts: (options.max429RetryCount || MAX_RETRY_ON_HTTP_429) + 1
+        };
+    }
+    if (options.disable429Retry) {
+        policy.statuses = policy.statuses.filter(status => status !== 429);
+    }
+    return policy;
+}
+
+function getErrorCode(error) {
+    // node-fetch-retry reports socket timeouts as `request-timeout` without a code
+    if (error.type === "request-timeout") {
+        return "ETIMEDOUT";
+    }
+    return typeof error.code === "string" ? error.code : undefined;
+}
+
+/**
+ * @param {RetryPolicy} policy Retry policy
+ * @param {Error} error Failure of an attempt
+ * @returns {Boolean} true if the policy retries the error
+ */
+function isRetryable(policy, error) {
+    if (error.status) {
+        return policy.statuses.includes(error.status);
+    }
+    const code = getErrorCode(error);
+    return code !== undefined && policy.errorCodes.includes(code);
+}
+
+/**
+ * Time to wait before the next attempt
+ *
+ * @param {RetryPolicy} policy Retry policy
+ * @param {Number} attempt Number of the failed attempt, starting at 1
+ * @param {Number} [previousDelay] Delay before the failed attempt
+ * @returns {Number} delay in milliseconds
+ */
+function getBackoffDelay(policy, attempt, previousDelay) {
+    const { minDelay, maxDelay } = policy;
+    const random = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
+    if (policy.backoff === "exponential") {
+        return Math.min(maxDelay, minDelay * 2 ** (attempt - 1));
+    } else if (policy.backoff === "decorrelated") {
+        return Math.min(maxDelay, random(minDelay, Math.max(minDelay, (previousDelay || minDelay) * 3)));
+    }
+    return random(minDelay, maxDelay);
+}
+
+/**
+ * Retry options for node-fetch-retry. With a `retryPolicy`, node-fetch-retry only applies
+ * the socket timeout and the policy retries all failures.
+ *
+ * @param {Object} options Options with `retryOptions` and `retryPolicy`
+ * @returns {Object|Boolean} node-fetch-retry options
+ */
+function getFetchRetryOptions(options) {
+    if (!options.retryPolicy || options.retryOptions === false) {
+        return options.retryOptions;
+    }
+    return {
+        ...(typeof options.retryOptions === "object" ? options.retryOptions : {}),
+        retryOnHttpResponse: () => false,
+        retryOnHttpError: () => false
+    };
+}
+
+module.exports = {
+    getRetryPolicy,
+    validateBackoff,
+    isRetryable,
+    getBackoffDelay,
+    getFetchRetryOptions
+};
@@ -0,0 +1,243 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const { name: PACKAGE_NAME, version: PACKAGE_VERSION } = require("../package.json");
+
+// requests whose rendition events are linked to the /process span, the oldest are dropped first
+const MAX_TRACKED_REQUESTS = 10000;
+
+/**
+ * @returns {Object} `@opentelemetry/api`, undefined if it is not installed
+ */
+function loadOpenTelemetryApi() {
+    try {
+        return require("@opentelemetry/api");
+    } catch (e) { // eslint-disable-line no-unused-vars
+        // optional dependency
+    }
+}
+
+/**
+ * Instrumentation used if `@opentelemetry/api` is not installed or telemetry is disabled
+ */
+class NoopTelemetry {
+    traceCall(endpoint, asyncFunc) {
+        return asyncFunc();
+    }
+
+    traceAttempt(parentSpan, endpoint, attempt, asyncFunc) {
+        return asyncFunc();
+    }
+
+    recordRenditionEvent() {}
+}
+
+/**
+ * OpenTelemetry spans and metrics for Asset Compute calls and rendition events
+ */
+class Telemetry {
+
+    /**
+     * @param {Object} api `@opentelemetry/api`
+     * @param {AssetComputeTelemetryOptions} options Options
+     */
+    constructor(api, options) {
+        this.api = api;
+        this.tracer = (options.tracerProvider || api.trace).getTracer(PACKAGE_NAME, PACKAGE_VERSION);
+        const meter = (options.meterProvider || api.metrics).getMeter(PACKAGE_NAME, PACKAGE_VERSION);
+
+        this.callDuration = meter.createHistogram("asset_compute.client.call.duration", {
+            description: "Duration of Asset Compute and IMS calls, per attempt",
+            unit: "ms"
+        });
+        this.throttled = meter.createCounter("asset_compute.client.throttled", {
+            description: "Calls rejected with 429 Too Many Requests"
+        });
+        this.renditions = meter.createCounter("asset_compute.client.renditions", {
+            description: "Rendition events received"
+        });
+        this.failures = meter.createCounter("asset_compute.client.rendition.failures", {
+            description: "Failed renditions"
+        });
+        this.latency = meter.createHistogram("asset_compute.client.rendition.latency", {
+            description: "Time from submitting a request until a rendition event is received",
+            unit: "ms"
+        });
+
+        // requestId -> { spanContext, submittedAt, remaining }
+        this.requests = new Map();
+    }
+
+    /**
+     * Run a call in a span, including all its attempts
+     *
+     * @param {String} endpoint Endpoint, such as `/process`
+     * @param {Function} asyncFunc Called with the span
+     * @param {Object} [attributes] Span attributes
+     * @returns {Promise} result of `asyncFunc`
+     */
+    async traceCall(endpoint, asyncFunc, attributes={}) {
+        const { api } = this;
+        const span = this.tracer.startSpan(`Asset Compute ${endpoint}`, {
+            kind: api.SpanKind.CLIENT,
+            attributes: {
+                "asset_compute.endpoint": endpoint,
+                ...attributes
+            }
+        });
+        const submittedAt = Date.now();
+        try {
+            const result = await api.context.with(api.trace.setSpan(api.context.active(), span), () => asyncFunc(span));
+            const requestId = result && result.requestId;
+            if (requestId) {
+                span.setAttribute("asset_compute.request_id", requestId);
+                if (endpoint === "/process") {
+                    this.trackRequest(requestId, span.spanContext(), submittedAt, attributes["asset_compute.rendition_count"]);
+                }
+            }
+            span.setStatus({ code: api.SpanStatusCode.OK });
+            return result;
+        } catch (error) {
+            span.recordException(error);
+            span.setStatus({ code: api.SpanStatusCode.ERROR, message: error.message });
+            throw error;
+        } finally {
+            span.end();
+        }
+    }
+
+    /**
+     * Run an attempt of a call in a child span of the call
+     *
+     * @param {Span} parentSpan Span of the call
+     * @param {String} endpoint Endpoint, such as `/process`
+     * @param {Number} attempt Number of the attempt, starting at 1
+     * @param {Function} asyncFunc Attempt
+     * @returns {Promise} result of `asyncFunc`
+     */
+    async traceAttempt(parentSpan, endpoint, attempt, asyncFunc) {
+        const { api } = this;
+        const parentContext = parentSpan ? api.trace.setSpan(api.context.active(), parentSpan) : api.context.active();
+        const span = this.tracer.startSpan(`Asset Compute ${endpoint} attempt`, {
+            kind: api.SpanKind.CLIENT,
+            attributes: {
+                "asset_compute.endpoint": endpoint,
+                "asset_compute.attempt": attempt
+            }
+        }, parentContext);
+        const start = Date.now();
+        const metricAttributes = { "asset_compute.endpoint": endpoint };
+        try {
+            const result = await api.context.with(api.trace.setSpan(parentContext, span), asyncFunc);
+            metricAttributes["asset_compute.outcome"] = "success";
+            span.setStatus({ code: api.SpanStatusCode.OK });
+            return result;
+        } catch (error) {
+            metricAttributes["asset_compute.outcome"] = "error";
+            if (error.status) {
+                span.setAttribute("http.response.status_code", error.status);
+                metricAttributes["http.response.status_code"] = error.status;
+            }
+            if (error.status === 429) {
+                this.throttled.add(1, { "asset_compute.endpoint": endpoint });
+            }
+            span.recordException(error);
+            span.setStatus({ code: api.SpanStatusCode.ERROR, message: error.message });
+            throw error;
+        } finally {
+            this.callDuration.record(Date.now() - start, metricAttributes);
+            span.end();
+        }
+    }
+
+    trackRequest(requestId, spanContext, submittedAt, remaining) {
+        if (this.requests.size >= MAX_TRACKED_REQUESTS) {
+            // Map iterates in insertion order, drop the oldest request
+            this.requests.delete(this.requests.keys().next().value);
+        }
+        this.requests.set(requestId, { spanContext, submittedAt, remaining });
+    }
+
+    /**
+     * Record a rendition event. Events of requests submitted by this process get a span
+     * from the submission until the event, linked to the `/process` span.
+     *
+     * @param {AssetComputeRenditionCreatedEvent|AssetComputeRenditionFailedEvent} event Rendition event
+     */
+    recordRenditionEvent(event) {
+        const { api } = this;
+        const attributes = { "asset_compute.event_type": event.type };
+        const fmt = event.rendition && event.rendition.fmt;
+        if (fmt) {
+            attributes["asset_compute.rendition.fmt"] = fmt;
+        }
+        this.renditions.add(1, attributes);
+        if (event.type === "rendition_failed") {
+            this.failures.add(1, { ...attributes, "asset_compute.error_reason": event.errorReason || "unknown" });
+        }
+
+        const request = this.requests.get(event.requestId);
+        if (!request) {
+            return;
+        }
+        this.latency.record(Date.now() - request.submittedAt, attributes);
+
+        const span = this.tracer.startSpan(`Asset Compute ${event.type}`, {
+            kind: api.SpanKind.CONSUMER,
+            startTime: request.submittedAt,
+            links: [{ context: request.spanContext }],
+            attributes: {
+                ...attributes,
+                "asset_compute.request_id": event.requestId
+            }
+        });
+        if (event.type === "rendition_failed") {
+            span.setStatus({ code: api.SpanStatusCode.ERROR, message: event.errorMessage || event.errorReason });
+        }
+        span.end();
+
+        if (request.remaining !== undefined) {
+            request.remaining -= 1;
+            if (request.remaining <= 0) {
+                this.requests.delete(event.requestId);
+            }
+        }
+    }
+}
+
+/**
+ * @typedef {Object} AssetComputeTelemetryOptions
+ * @property {TracerProvider} [tracerProvider] Tracer provider, defaults to the global one
+ * @property {MeterProvider} [meterProvider] Meter provider, defaults to the global one
+ */
+/**
+ * Create the instrumentation. It does nothing if `@opentelemetry/api` is not installed.
+ *
+ * @param {Boolean|AssetComputeTelemetryOptions|Telemetry} [options] `false` to disable, options, or an instrumentation to share
+ * @returns {Telemetry} instrumentation
+ */
+function createTelemetry(options) {
+    if (options && typeof options.traceCall === "function") {
+        return options;
+    }
+    const api = options !== false && loadOpenTelemetryApi();
+    if (!api) {
+        return new NoopTelemetry();
+    }
+    return new Telemetry(api, typeof options === "object" ? options : {});
+}
+
+module.exports = {
+    createTelemetry
+};
@@ -0,0 +1,188 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const fs = require("fs-extra");
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("./jsonfile");
+
+// tokens expiring within this time are not returned from the cache
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+// a lock older than this was left behind by a crashed process, creating a token takes far less
+const LOCK_STALE_MS = 20000;
+// how long to wait for another process holding the lock, longer than a lock can get stale
+// so a lock left behind by a crashed process is taken over instead of failing
+const LOCK_TIMEOUT_MS = 30000;
+const LOCK_RETRY_INTERVAL_MS = 50;
+
+/**
+ * @typedef {Object} CachedAccessToken
+ * @property {String} accessToken Access token
+ * @property {Number} expiresAt Expiry as milliseconds since epoch
+ */
+/**
+ * Store for access tokens. Implement `get()` and `set()` to plug in your own store,
+ * `lock()` is optional and prevents multiple callers from creating a token at the same time.
+ *
+ * @typedef {Object} TokenCache
+ * @property {function(String): Promise<CachedAccessToken>} get Get the cached access token for a key
+ * @property {function(String, CachedAccessToken): Promise} set Store the access token for a key
+ * @property {function(String, Function): Promise} [lock] Invoke an async function while holding the lock for a key
+ */
+
+/**
+ * Build the cache key for an integration, tokens are shared for the same client id and scopes
+ *
+ * @param {String} clientId Client id
+ * @param {String[]} scopes Scopes
+ * @returns {String} cache key
+ */
+function getTokenCacheKey(clientId, scopes) {
+    return `${clientId}:${[...scopes].sort().join(",")}`;
+}
+
+/**
+ * Check if a cached access token can still be used
+ *
+ * @param {CachedAccessToken} token Cached access token
+ * @returns {Boolean} true if the token is valid for longer than the expiry margin
+ */
+function isValidToken(token) {
+    return !!(token && token.accessToken && token.expiresAt - EXPIRY_MARGIN_MS > Date.now());
+}
+
+/**
+ * Access token cache for a single process
+ */
+class MemoryTokenCache {
+
+    constructor() {
+        this.tokens = new Map();
+        this.locks = new Map();
+    }
+
+    async get(key) {
+        return this.tokens.get(key);
+    }
+
+    async set(key, token) {
+        this.tokens.set(key, token);
+    }
+
+    async lock(key, asyncFunc) {
+        // chain callers for the same key
+        const previous = this.locks.get(key) || Promise.resolve();
+        const current = previous.then(() => asyncFunc());
+        const tail = current.catch(() => {});
+        this.locks.set(key, tail);
+        tail.then(() => {
+            if (this.locks.get(key) === tail) {
+                this.locks.delete(key);
+            }
+        });
+        return current;
+    }
+}
+
+/**
+ * Access token cache in a JSON file, shared by all processes on the same host using the same file.
+ * A lock file next to it makes sure only one process creates a new token at a time.
+ */
+class FileTokenCache {
+
+    /**
+     * @param {String} file Path of the JSON file storing the tokens, it is created if it does not exist
+     */
+    constructor(file) {
+        if (!file) {
+            throw Error("FileTokenCache requires a file path");
+        }
+        this.file = file;
+        this.lockFile = `${file}.lock`;
+    }
+
+    async get(key) {
+        const tokens = await readJsonFile(this.file, {});
+        return tokens[key];
+    }
+
+    async set(key, token) {
+        const tokens = await readJsonFile(this.file, {});
+        tokens[key] = token;
+
+        // drop expired tokens so the file does not grow forever
+        for (const [k, t] of Object.entries(tokens)) {
+            if (!t || t.expiresAt <= Date.now()) {
+                delete tokens[k];
+            }
+        }
+
+        await writeJsonFile(this.file, tokens, { mode: 0o600 });
+    }
+
+    async lock(key, asyncFunc) {
+        await this.acquireLock();
+        try {
+            return await asyncFunc();
+        } finally {
+            await fs.remove(this.lockFile);
+        }
+    }
+
+    async acquireLock() {
+        await fs.ensureDir(path.dirname(this.lockFile));
+        const start = Date.now();
+        for (;;) {
+            try {
+                await fs.close(await fs.open(this.lockFile, "wx"));
+                return;
+            } catch (e) {
+                if (e.code !== "EEXIST") {
+                    throw e;
+                }
+            }
+
+            if (await this.removeStaleLock()) {
+                continue;
+            }
+            if (Date.now() - start > LOCK_TIMEOUT_MS) {
+                throw Error(`Timed out waiting for token cache lock ${this.lockFile}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_INTERVAL_MS));
+        }
+    }
+
+    async removeStaleLock() {
+        try {
+            const stat = await fs.stat(this.lockFile);
+            if (Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+                await fs.remove(this.lockFile);
+                return true;
+            }
+            return false;
+        } catch (e) {
+            if (e.code === "ENOENT") {
+                // released in the meantime
+                return true;
+            }
+            throw e;
+        }
+    }
+}
+
+module.exports = {
+    MemoryTokenCache,
+    FileTokenCache,
+    getTokenCacheKey,
+    isValidToken
+};
@@ -0,0 +1,195 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const { ValidationError } = require("./error");
+
+// commonly mistyped rendition properties and the property Asset Compute expects
+const MISTYPED_PROPERTIES = {
+    width: "wid",
+    height: "hei",
+    quality: "qlt",
+    format: "fmt"
+};
+
+function isPositiveNumber(value) {
+    return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function isNonEmptyString(value) {
+    return typeof value === "string" && value.length > 0;
+}
+
+function validateDpi(errors, prefix, name, dpi) {
+    if (typeof dpi === "object" && dpi !== null) {
+        if (!isPositiveNumber(dpi.xdpi)) {
+            errors.push(`${prefix}: ${name}.xdpi must be a positive number`);
+        }
+        if (!isPositiveNumber(dpi.ydpi)) {
+            errors.push(`${prefix}: ${name}.ydpi must be a positive number`);
+        }
+    } else if (!isPositiveNumber(dpi)) {
+        errors.push(`${prefix}: ${name} must be a positive number or an object with xdpi and ydpi`);
+    }
+}
+
+function validateTarget(errors, prefix, target) {
+    if (typeof target === "string") {
+        if (target.length === 0) {
+            errors.push(`${prefix}: target must not be empty`);
+        }
+        return;
+    }
+    if (typeof target !== "object" || target === null) {
+        errors.push(`${prefix}: target must be a URL or a multipart target with urls`);
+        return;
+    }
+
+    // multipart AssetComputeTarget
+    if (!Array.isArray(target.urls) || target.urls.length === 0) {
+        errors.push(`${prefix}: target.urls must be a non-empty array of URLs`);
+    } else if (!target.urls.every(isNonEmptyString)) {
+        errors.push(`${prefix}: target.urls must only contain URLs`);
+    }
+    if (target.minPartSize !== undefined && !isPositiveInteger(target.minPartSize)) {
+        errors.push(`${prefix}: target.minPartSize must be a positive integer`);
+    }
+    if (target.maxPartSize !== undefined && !isPositiveInteger(target.maxPartSize)) {
+        errors.push(`${prefix}: target.maxPartSize must be a positive integer`);
+    }
+    if (isPositiveInteger(target.minPartSize) && isPositiveInteger(target.maxPartSize) &&
+        target.minPartSize > target.maxPartSize) {
+        errors.push(`${prefix}: target.minPartSize must not be larger than target.maxPartSize`);
+    }
+}
+
+function validateRendition(errors, prefix, rendition) {
+    if (typeof rendition !== "object" || rendition === null || Array.isArray(rendition)) {
+        errors.push(`${prefix}: must be an object`);
+        return;
+    }
+
+    for (const [property, expected] of Object.entries(MISTYPED_PROPERTIES)) {
+        if (rendition[property] !== undefined) {
+            errors.push(`${prefix}: unknown property '${property}', did you mean '${expected}'?`);
+        }
+    }
+
+    if (rendition.id !== undefined && !isNonEmptyString(rendition.id) && !Number.isFinite(rendition.id)) {
+        errors.push(`${prefix}: id must be a non-empty string or a number`);
+    }
+
+    if (rendition.name !== undefined && !isNonEmptyString(rendition.name)) {
+        errors.push(`${prefix}: name must be a non-empty string`);
+    }
+
+    // format or custom worker
+    if (rendition.fmt === undefined && rendition.worker === undefined) {
+        errors.push(`${prefix}: either fmt or worker is required`);
+    }
+    if (rendition.fmt !== undefined && !isNonEmptyString(rendition.fmt)) {
+        errors.push(`${prefix}: fmt must be a non-empty string`);
+    }
+    if (rendition.worker !== undefined && !isNonEmptyString(rendition.worker)) {
+        errors.push(`${prefix}: worker must be the URL of a custom worker`);
+    }
+
+    // where to upload the rendition, `url` is the older name for a single target URL
+    if (rendition.target === undefined && rendition.url === undefined) {
+        errors.push(`${prefix}: either target or url is required`);
+    } else if (rendition.target !== undefined && rendition.url !== undefined) {
+        errors.push(`${prefix}: only one of target or url is allowed`);
+    } else if (rendition.target !== undefined) {
+        validateTarget(errors, prefix, rendition.target);
+    } else if (!isNonEmptyString(rendition.url)) {
+        errors.push(`${prefix}: url must be a non-empty string`);
+    }
+
+    if (rendition.wid !== undefined && !isPositiveInteger(rendition.wid)) {
+        errors.push(`${prefix}: wid must be a positive integer`);
+    }
+    if (rendition.hei !== undefined && !isPositiveInteger(rendition.hei)) {
+        errors.push(`${prefix}: hei must be a positive integer`);
+    }
+    if (rendition.qlt !== undefined &&
+        (typeof rendition.qlt !== "number" || !(rendition.qlt >= 0 && rendition.qlt <= 100))) {
+        errors.push(`${prefix}: qlt must be a number between 0 and 100`);
+    }
+    if (rendition.jpegSize !== undefined && !isPositiveInteger(rendition.jpegSize)) {
+        errors.push(`${prefix}: jpegSize must be a positive integer`);
+    }
+    if (rendition.interlace !== undefined && typeof rendition.interlace !== "boolean") {
+        errors.push(`${prefix}: interlace must be a boolean`);
+    }
+    if (rendition.xmp !== undefined && typeof rendition.xmp !== "string") {
+        errors.push(`${prefix}: xmp must be a base64 encoded string`);
+    }
+    if (rendition.dpi !== undefined) {
+        validateDpi(errors, prefix, "dpi", rendition.dpi);
+    }
+    if (rendition.convertToDpi !== undefined) {
+        validateDpi(errors, prefix, "convertToDpi", rendition.convertToDpi);
+    }
+}
+
+/**
+ * Validate rendition instructions against the `AssetComputeRendition` format
+ *
+ * @param {AssetComputeRendition[]} renditions Requested renditions
+ * @returns {String[]} all problems found, empty if the renditions are valid
+ */
+function validateRenditions(renditions) {
+    if (!Array.isArray(renditions) || renditions.length === 0) {
+        return ["renditions must be a non-empty array"];
+    }
+    const errors = [];
+    renditions.forEach((rendition, index) => {
+        validateRendition(errors, `renditions[${index}]`, rendition);
+    });
+
+    // rendition ids identify the events, so every rendition needs a unique one
+    const ids = new Set();
+    renditions.forEach((rendition, index) => {
+        const id = rendition && rendition.id;
+        if (id !== undefined && ids.has(id)) {
+            errors.push(`renditions[${index}]: duplicate id '${id}'`);
+        }
+        ids.add(id);
+    });
+    if (ids.has(undefined) && ids.size > 1) {
+        errors.push("renditions: either all or none of the renditions must have an id");
+    }
+    return errors;
+}
+
+/**
+ * Validate rendition instructions, throws if any are invalid
+ *
+ * @param {AssetComputeRendition[]} renditions Requested renditions
+ * @throws {ValidationError} listing every problem in `errors`
+ */
+function assertValidRenditions(renditions) {
+    const errors = validateRenditions(renditions);
+    if (errors.length > 0) {
+        throw new ValidationError(`Invalid renditions: ${errors.join("; ")}`, { errors });
+    }
+}
+
+module.exports = {
+    validateRenditions,
+    assertValidRenditions
+};
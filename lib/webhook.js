@@ -0,0 +1,252 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const fetch = require("@adobe/node-fetch-retry");
+
+// Adobe I/O Events public keys for digital signatures are only fetched from here
+const PUBLIC_KEY_HOST = "https://static.adobeioevents.com";
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+class WebhookRequestError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = "WebhookRequestError";
+        this.status = status;
+    }
+}
+
+async function readBody(req, maxBodySize) {
+    // raw body kept by body parsing middleware, such as express.json({ verify })
+    if (req.rawBody !== undefined) {
+        return Buffer.from(req.rawBody);
+    }
+    if (req.body !== undefined || req.readableEnded) {
+        throw new WebhookRequestError("Request body was already consumed, the raw body is required to verify the signature", 400);
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > maxBodySize) {
+            throw new WebhookRequestError(`Request body is larger than ${maxBodySize} bytes`, 413);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+function isHmacSignatureValid(body, signature, clientSecret) {
+    const expected = crypto.createHmac("sha256", clientSecret).update(body).digest();
+    const actual = Buffer.from(signature, "base64");
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function sendJson(res, status, body) {
+    res.statusCode = status;
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Receives Adobe I/O Events pushed to a webhook and emits the same `rendition_created`
+ * and `rendition_failed` events as `AssetComputeEventEmitter`, without polling a journal.
+ *
+ * Mount `handler()` as request listener of a `http.Server` or as middleware at the webhook URL
+ * configured for the event registration.
+ *
+ * @fires AssetCompute#rendition_created
+ * @fires AssetCompute#rendition_failed
+ * @fires AssetCompute#error
+ */
+class AssetComputeWebhookEventEmitter extends EventEmitter {
+
+    /**
+     * @typedef {Object} AssetComputeWebhookOptions
+     * @property {String} [clientId=] Client id of the integration. If set, events sent to other clients are rejected.
+     * @property {String} [clientSecret=] Client secret to verify the legacy `x-adobe-signature` HMAC signature.
+     *                                    Digital signatures are verified without it.
+     * @property {Boolean} [verifySignature=true] Verify the signature of each delivery, only disable for local testing
+     * @property {Number} [maxBodySize=1048576] Maximum request body size in bytes
+     */
+    /**
+     * @param {AssetComputeWebhookOptions} [options] Options
+     */
+    constructor(options={}) {
+        super();
+        this.clientId = options.clientId;
+        this.clientSecret = options.clientSecret;
+        this.verifySignature = options.verifySignature !== false;
+        this.maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+        // public key path -> PEM
+        this.publicKeys = new Map();
+    }
+
+    /**
+     * Request handler for Adobe I/O Events webhook deliveries
+     *
+     * @returns {Function} `(req, res)` request handler, also usable as middleware
+     */
+    handler() {
+        return (req, res) => this.handleRequest(req, res);
+    }
+
+    /**
+     * Handle a webhook request: answer the challenge, verify the signature and emit the events
+     *
+     * @param {http.IncomingMessage} req Request
+     * @param {http.ServerResponse} res Response
+     */
+    async handleRequest(req, res) {
+        try {
+            const url = new URL(req.url, "http://localhost");
+            if (req.method === "GET") {
+                // challenge handshake when the webhook is registered
+                const challenge = url.searchParams.get("challenge");
+                if (!challenge) {
+                    throw new WebhookRequestError("Missing challenge", 400);
+                }
+                return sendJson(res, 200, { challenge });
+            }
+            if (req.method !== "POST") {
+                throw new WebhookRequestError(`Method ${req.method} not allowed`, 405);
+            }
+
+            const body = await readBody(req, this.maxBodySize);
+            let payload;
+            try {
+                payload = JSON.parse(body.toString());
+            } catch (e) { // eslint-disable-line no-unused-vars
+                throw new WebhookRequestError("Request body is not valid JSON", 400);
+            }
+
+            if (payload && payload.challenge && !payload.event) {
+                return sendJson(res, 200, { challenge: payload.challenge });
+            }
+
+            if (this.verifySignature) {
+                await this.verify(req.headers, body);
+            }
+
+            // single event or batch delivery
+            const deliveries = Array.isArray(payload) ? payload : [payload];
+            for (const delivery of deliveries) {
+                if (this.clientId && delivery && delivery.recipient_client_id &&
+                    delivery.recipient_client_id !== this.clientId) {
+                    throw new WebhookRequestError(`Event is for client ${delivery.recipient_client_id}`, 403);
+                }
+            }
+
+            sendJson(res, 200, { ok: true });
+            deliveries.forEach(delivery => this.emitEvent(delivery));
+        } catch (error) {
+            const status = error.status || 500;
+            sendJson(res, status, { ok: false, message: error.message });
+            // rejected deliveries must not crash the server if nobody listens for errors
+            if (this.listenerCount("error") > 0) {
+                this.emit("error", error);
+            }
+        }
+    }
+
+    /**
+     * Verify the signature of a delivery, either the digital signatures or the legacy HMAC signature
+     *
+     * @param {Object} headers Request headers
+     * @param {Buffer} body Raw request body
+     * @throws {Error} with status 401 if the signature is missing or invalid
+     */
+    async verify(headers, body) {
+        if (headers["x-adobe-digital-signature-1"] || headers["x-adobe-digital-signature-2"]) {
+            // valid if either of the two signatures matches its public key
+            for (const index of [1, 2]) {
+                const signature = headers[`x-adobe-digital-signature-${index}`];
+                const keyPath = headers[`x-adobe-public-key${index}-path`];
+                if (signature && keyPath) {
+                    const publicKey = await this.getPublicKey(keyPath);
+                    if (crypto.createVerify("RSA-SHA256").update(body).verify(publicKey, signature, "base64")) {
+                        return;
+                    }
+                }
+            }
+            throw new WebhookRequestError("Invalid digital signature", 401);
+        }
+
+        if (headers["x-adobe-signature"] && this.clientSecret) {
+            if (isHmacSignatureValid(body, headers["x-adobe-signature"], this.clientSecret)) {
+                return;
+            }
+            throw new WebhookRequestError("Invalid signature", 401);
+        }
+        throw new WebhookRequestError("Missing signature", 401);
+    }
+
+    async getPublicKey(keyPath) {
+        if (!keyPath.startsWith("/") || keyPath.startsWith("//")) {
+            throw new WebhookRequestError(`Invalid public key path: ${keyPath}`, 401);
+        }
+        if (!this.publicKeys.has(keyPath)) {
+            const response = await fetch(`${PUBLIC_KEY_HOST}${keyPath}`);
+            if (!response.ok) {
+                throw new WebhookRequestError(`Unable to get public key ${keyPath}: ${response.status}`, 401);
+            }
+            this.publicKeys.set(keyPath, await response.text());
+        }
+        return this.publicKeys.get(keyPath);
+    }
+
+    emitEvent(delivery) {
+        // the Asset Compute event is in `event`, like in the journal
+        const assetComputeEvent = delivery && delivery.event;
+        if (assetComputeEvent && assetComputeEvent.type) {
+            this.emit(assetComputeEvent.type, assetComputeEvent);
+        } else if (this.listenerCount("error") > 0) {
+            this.emit("error", Error(`Event is missing 'event' object: ${JSON.stringify(delivery)}`));
+        }
+    }
+
+    /**
+     * Create an event emitter forwarding the events received by this webhook.
+     * Closing it stops the forwarding, the webhook keeps handling requests.
+     *
+     * @returns {EventEmitter} event emitter with a `close()` method, like `AssetComputeEventEmitter`
+     */
+    subscribe() {
+        const subscription = new EventEmitter();
+        const forwards = {};
+        for (const type of ["rendition_created", "rendition_failed", "error"]) {
+            forwards[type] = event => subscription.emit(type, event);
+            this.on(type, forwards[type]);
+        }
+        subscription.close = async () => {
+            for (const [type, forward] of Object.entries(forwards)) {
+                this.off(type, forward);
+            }
+        };
+        return subscription;
+    }
+
+    /**
+     * Stop emitting events
+     */
+    async close() {
+        this.removeAllListeners();
+    }
+}
+
+module.exports = {
+    AssetComputeWebhookEventEmitter
+};
@@ -17,7 +17,16 @@
 
 const assert = require('assert');
 const nock = require('nock');
+// not a global before Node.js 15
+const { AbortController } = require('abort-controller');
 const { AssetCompute } = require('../lib/assetcompute');
+const {
+    AssetComputeHttpError,
+    AuthenticationError,
+    ValidationError,
+    ServiceUnavailableError,
+    AbortError
+} = require('../lib/error');
 
 describe( 'assetcompute.js tests', () => {
     beforeEach( () => {
@@ -49,6 +58,36 @@ describe( 'assetcompute.js tests', () => {
         assert.strictEqual(response.journal, journal);
     });
 
+    it('should return the rate limit headers and slow down when few requests remain', async function() {
+        const assetCompute = new AssetCompute({
+            accessToken: 'accessToken',
+            org: 'org',
+            apiKey: 'apiKey'
+        });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, { ok: true, requestId: '1234' }, {
+                'RateLimit-Limit': '100',
+                'RateLimit-Remaining': '0',
+                'RateLimit-Reset': '1'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, { ok: true, requestId: '5678' });
+
+        const throttled = new Promise(resolve => assetCompute.backpressure.once('throttled', resolve));
+        const response = await assetCompute.process({ url: 'https://example.com/dog.jpg' }, [{ fmt: 'png', url: 'https://example.com/rendition.png' }]);
+        assert.strictEqual(response.requestId, '1234');
+        assert.deepStrictEqual(response.rateLimit, { limit: 100, remaining: 0, reset: 1 });
+        assert.strictEqual((await throttled).retryAfter, 1000);
+
+        // held until the rate limit window resets
+        const start = Date.now();
+        const next = await assetCompute.process({ url: 'https://example.com/dog.jpg' }, [{ fmt: 'png', url: 'https://example.com/rendition.png' }]);
+        assert.ok(Date.now() - start >= 900, `sent after ${Date.now() - start} ms`);
+        assert.strictEqual(next.rateLimit, undefined);
+    });
+
     it('should call asset compute /process successfully and pass along source headers', async function() {
         const options = {
             accessToken: 'accessToken',
@@ -65,7 +104,8 @@ describe( 'assetcompute.js tests', () => {
         };
         const renditions = [{
             name: 'rendition.jpg',
-            fmt: 'jpg'
+            fmt: 'jpg',
+            url: 'https://example.com/rendition.jpg'
         }];
         nock('https://asset-compute.adobe.io')
             .post('/process', {
@@ -352,7 +392,8 @@ describe( 'assetcompute.js tests', () => {
             [
                 {
                     name: 'rendition.jpg',
-                    fmt: 'jpg'
+                    fmt: 'jpg',
+                    url: 'https://example.com/rendition.jpg'
                 }
             ]);
             assert.fail('Should have failed');
@@ -386,7 +427,8 @@ describe( 'assetcompute.js tests', () => {
             [
                 {
                     name: 'rendition.jpg',
-                    fmt: 'jpg'
+                    fmt: 'jpg',
+                    url: 'https://example.com/rendition.jpg'
                 }
             ]);
             assert.fail('Should have failed');
@@ -397,4 +439,275 @@ describe( 'assetcompute.js tests', () => {
             assert.strictEqual(e.retryAfter, 3);
         }
     });
+
+    it('should get the access token from the access token provider for every request', async function() {
+        let count = 0;
+        const options = {
+            accessTokenProvider: {
+                getAccessToken: async () => `token-${++count}`
+            },
+            org: 'org',
+            apiKey: 'apiKey'
+        };
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .matchHeader('authorization', 'Bearer token-1')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .matchHeader('authorization', 'Bearer token-2')
+            .reply(200, {
+                'ok': true,
+                'requestId': '3214'
+            });
+
+        const assetCompute = new AssetCompute(options);
+        await assetCompute.register();
+        const response = await assetCompute.process({
+            url: 'https://example.com/dog.jpg'
+        }, [{
+            name: 'rendition.jpg',
+            fmt: 'jpg',
+            url: 'https://example.com/rendition.jpg'
+        }]);
+        assert.strictEqual(response.requestId, '3214');
+        assert.ok(nock.isDone());
+    });
+
+    it('should fail calling /process with typed errors', async function() {
+        const options = {
+            accessToken: 'accessToken',
+            org: 'org',
+            apiKey: 'apiKey',
+            // do not retry the 503
+            retryOptions: {
+                retryOnHttpResponse: () => false
+            }
+        };
+        const assetCompute = new AssetCompute(options);
+        const process = () => assetCompute.process({
+            url: 'https://example.com/dog.jpg'
+        }, [{
+            name: 'rendition.jpg',
+            fmt: 'jpg',
+            url: 'https://example.com/rendition.jpg'
+        }]);
+
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(400, {
+                ok: false,
+                message: 'invalid rendition'
+            }, {
+                'x-request-id': 'request-400'
+            });
+        await assert.rejects(process(), error => {
+            assert.ok(error instanceof ValidationError);
+            assert.strictEqual(error.status, 400);
+            assert.strictEqual(error.endpoint, '/process');
+            assert.strictEqual(error.requestId, 'request-400');
+            assert.deepStrictEqual(error.body, { ok: false, message: 'invalid rendition' });
+            assert.strictEqual(error.retryable, false);
+            assert.strictEqual(error.message, 'Unable to invoke /process: 400 {"ok":false,"message":"invalid rendition"}');
+            return true;
+        });
+
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(403, {
+                ok: false,
+                requestId: 'request-403'
+            });
+        await assert.rejects(process(), error => {
+            assert.ok(error instanceof AuthenticationError);
+            assert.strictEqual(error.status, 403);
+            // request id from the response body
+            assert.strictEqual(error.requestId, 'request-403');
+            return true;
+        });
+
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(503, 'Service Unavailable');
+        await assert.rejects(process(), error => {
+            assert.ok(error instanceof ServiceUnavailableError);
+            assert.strictEqual(error.status, 503);
+            assert.strictEqual(error.body, 'Service Unavailable');
+            assert.strictEqual(error.requestId, undefined);
+            assert.strictEqual(error.retryable, true);
+            return true;
+        });
+    });
+
+    it('should fail calling /register with AssetComputeHttpError', async function() {
+        const options = {
+            accessToken: 'accessToken',
+            org: 'org',
+            apiKey: 'apiKey'
+        };
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(404, {
+                ok: false
+            });
+
+        const assetCompute = new AssetCompute(options);
+        await assert.rejects(assetCompute.register(), error => {
+            assert.ok(error instanceof AssetComputeHttpError);
+            assert.strictEqual(error.name, 'AssetComputeHttpError');
+            assert.strictEqual(error.status, 404);
+            assert.strictEqual(error.endpoint, '/register');
+            return true;
+        });
+    });
+
+    it('should validate renditions before calling /process', async function() {
+        const assetCompute = new AssetCompute({
+            accessToken: 'accessToken',
+            org: 'org',
+            apiKey: 'apiKey'
+        });
+        await assert.rejects(assetCompute.process({
+            url: 'https://example.com/dog.jpg'
+        }, [{
+            name: 'rendition.png',
+            fmt: 'png',
+            width: 200,
+            height: 200
+        }]), error => {
+            assert.ok(error instanceof ValidationError);
+            assert.strictEqual(error.errors.length, 3);
+            return true;
+        });
+        // no request was sent
+        assert.ok(nock.isDone());
+    });
+
+    it('should not validate renditions if disabled', async function() {
+        const renditions = [{
+            name: 'rendition.png',
+            fmt: 'png',
+            width: 200
+        }];
+        nock('https://asset-compute.adobe.io')
+            .post('/process', body => body.renditions[0].width === 200)
+            .reply(200, {
+                'ok': true,
+                'requestId': '1234'
+            });
+
+        const assetCompute = new AssetCompute({
+            accessToken: 'accessToken',
+            org: 'org',
+            apiKey: 'apiKey',
+            validateRenditions: false
+        });
+        const response = await assetCompute.process({
+            url: 'https://example.com/dog.jpg'
+        }, renditions);
+        assert.strictEqual(response.requestId, '1234');
+        assert.ok(nock.isDone());
+    });
+
+    it('should not send the id of renditions to /process', async function() {
+        nock('https://asset-compute.adobe.io')
+            .post('/process', body => body.renditions.length === 2 &&
+                body.renditions.every(rendition => !('id' in rendition)) &&
+                body.renditions[0].name === 'rendition.png')
+            .reply(200, {
+                'ok': true,
+                'requestId': '1234'
+            });
+
+        const assetCompute = new AssetCompute({
+            accessToken: 'accessToken',
+            org: 'org',
+            apiKey: 'apiKey'
+        });
+        const renditions = [{
+            id: 'thumbnail',
+            name: 'rendition.png',
+            fmt: 'png',
+            url: 'https://example.com/rendition.png'
+        }, {
+            id: 'preview',
+            name: 'rendition.jpg',
+            fmt: 'jpg',
+            url: 'https://example.com/rendition.jpg'
+        }];
+        const response = await assetCompute.process({
+            url: 'https://example.com/dog.jpg'
+        }, renditions);
+        assert.strictEqual(response.requestId, '1234');
+        assert.ok(nock.isDone());
+        // the caller's renditions are left as they are
+        assert.strictEqual(renditions[0].id, 'thumbnail');
+    });
+
+    it('should cancel an in-flight /process request when aborted', async function() {
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .delay(2000)
+            .reply(200, {
+                'ok': true,
+                'requestId': '1234'
+            });
+
+        const assetCompute = new AssetCompute({
+            accessToken: 'accessToken',
+            org: 'org',
+            apiKey: 'apiKey'
+        });
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 50);
+        const start = Date.now();
+        await assert.rejects(assetCompute.process({
+            url: 'https://example.com/dog.jpg'
+        }, [{
+            name: 'rendition.png',
+            fmt: 'png',
+            url: 'https://example.com/rendition.png'
+        }], undefined, undefined, { signal: controller.signal }), error => {
+            assert.ok(error instanceof AbortError);
+            assert.strictEqual(error.code, 'ABORT_ERR');
+            return true;
+        });
+        assert.ok(Date.now() - start < 1000);
+    });
+
+    it('should not call /register if the signal is already aborted', async function() {
+        const assetCompute = new AssetCompute({
+            accessToken: 'accessToken',
+            org: 'org',
+            apiKey: 'apiKey'
+        });
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(assetCompute.register({ signal: controller.signal }), AbortError);
+        await assert.rejects(assetCompute.unregister({ signal: controller.signal }), AbortError);
+    });
+
+    it('should cancel a pending 429 retry when aborted', async function() {
+        nock('https://asset-compute.adobe.io')
+            .post('/unregister')
+            .reply(429, {
+                message: 'Too many requests'
+            }, {
+                'retry-after': 30
+            });
+
+        const assetCompute = new AssetCompute({
+            accessToken: 'accessToken',
+            org: 'org',
+            apiKey: 'apiKey'
+        });
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 200);
+        await assert.rejects(assetCompute.unregister({ signal: controller.signal }), AbortError);
+        assert.ok(nock.isDone());
+    });
 });
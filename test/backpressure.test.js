@@ -0,0 +1,128 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+// not a global before Node.js 15
+const { AbortController } = require('abort-controller');
+const { BackpressureGate } = require('../lib/backpressure');
+
+describe('backpressure.js tests', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({ now: 0 });
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('should hold requests until the longest retry-after has passed', async () => {
+        const gate = new BackpressureGate();
+        const events = [];
+        gate.on('throttled', event => events.push(['throttled', Date.now(), event]));
+        gate.on('unthrottled', () => events.push(['unthrottled', Date.now()]));
+
+        await gate.wait();
+        assert.strictEqual(gate.throttled, false);
+
+        gate.throttle(2000);
+        gate.throttle(1000);
+        assert.strictEqual(gate.throttled, true);
+        let released;
+        gate.wait().then(() => {
+            released = Date.now();
+        });
+
+        await clock.tickAsync(500);
+        gate.throttle(3000);
+        await clock.tickAsync(3500);
+        assert.strictEqual(released, 3500);
+        assert.strictEqual(gate.throttled, false);
+        assert.deepStrictEqual(events, [
+            ['throttled', 0, { until: 2000, retryAfter: 2000 }],
+            ['unthrottled', 3500]
+        ]);
+    });
+
+    it('should stop waiting when the signal is aborted', async () => {
+        const gate = new BackpressureGate();
+        const controller = new AbortController();
+        gate.throttle(1000);
+
+        const waiting = gate.wait(controller.signal);
+        controller.abort();
+        await assert.rejects(waiting, { name: 'AbortError' });
+    });
+
+    it('should slow down when few requests remain in the rate limit', async () => {
+        const gate = new BackpressureGate();
+
+        gate.update({ limit: 100, remaining: 50, reset: 10 });
+        gate.update({ remaining: 5 });
+        assert.strictEqual(gate.throttled, false);
+        await gate.wait();
+        assert.strictEqual(Date.now(), 0);
+
+        gate.update({ remaining: 0, reset: 5 });
+        assert.strictEqual(gate.until, 5000);
+    });
+
+    it('should space the starts of waiting requests when few remain in the rate limit', async () => {
+        const gate = new BackpressureGate();
+        const starts = [];
+        const start = name => gate.wait().then(() => starts.push([name, Date.now()]));
+
+        // remaining requests are spread until the reset, one per slot
+        gate.update({ limit: 100, remaining: 9, reset: 10 });
+        assert.strictEqual(gate.throttled, false);
+        start('a');
+        start('b');
+        start('c');
+        await clock.tickAsync(2500);
+        start('d');
+        await clock.tickAsync(2000);
+        assert.deepStrictEqual(starts, [['a', 1000], ['b', 2000], ['c', 3000], ['d', 4000]]);
+
+        // free slots are not saved up
+        await clock.tickAsync(2000);
+        start('e');
+        await clock.tickAsync(0);
+        assert.deepStrictEqual(starts[4], ['e', 6500]);
+
+        // no more pacing once the window reset
+        await clock.tickAsync(4000);
+        start('f');
+        start('g');
+        await clock.tickAsync(0);
+        assert.deepStrictEqual(starts.slice(5), [['f', 10500], ['g', 10500]]);
+    });
+
+    it('should hold paced requests after a 429', async () => {
+        const gate = new BackpressureGate();
+        const starts = [];
+
+        gate.update({ limit: 100, remaining: 4, reset: 5 });
+        gate.wait().then(() => starts.push(Date.now()));
+        gate.wait().then(() => starts.push(Date.now()));
+        await clock.tickAsync(500);
+        gate.throttle(2500);
+        await clock.tickAsync(3000);
+        assert.deepStrictEqual(starts, [3000, 3000]);
+    });
+});
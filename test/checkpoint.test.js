@@ -0,0 +1,156 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const mockRequire = require('mock-require');
+const { EventEmitter } = require('events');
+const { MemoryCheckpointStore, FileCheckpointStore } = require('../lib/checkpoint');
+
+const JOURNAL = 'https://api.adobe.io/events/organizations/journal/12345';
+
+describe('checkpoint.js tests', () => {
+    let dir;
+    let ioEventEmitterMock;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'checkpoint-'));
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor(ioEvents, journalUrl, options) {
+                    super();
+                    this.journalUrl = `${journalUrl}?latest=true`;
+                    this.next = options.restart || this.journalUrl;
+                    this.options = options;
+                    ioEventEmitterMock = this;
+                }
+                async stop() {}
+            }
+        });
+    });
+
+    afterEach(async () => {
+        mockRequire.stopAll();
+        await fs.remove(dir);
+    });
+
+    function createEventEmitter(checkpointStore) {
+        const { AssetComputeEventEmitter } = mockRequire.reRequire('../lib/eventemitter');
+        return new AssetComputeEventEmitter({
+            accessToken: 'accessToken',
+            org: 'org',
+            journal: JOURNAL,
+            checkpointStore
+        });
+    }
+
+    function journalEvent(position, type='rendition_created') {
+        return {
+            position,
+            event: { type, event_id: `id-${position}` }
+        };
+    }
+
+    it('should store checkpoints in a file', async () => {
+        const file = path.join(dir, 'sub', 'checkpoints.json');
+        const store = new FileCheckpointStore(file);
+        assert.strictEqual(await store.get(JOURNAL), undefined);
+
+        await store.set(JOURNAL, { position: 'a', eventIds: ['1'] });
+        await store.set('other', { position: 'b', eventIds: [] });
+        assert.deepStrictEqual(await new FileCheckpointStore(file).get(JOURNAL), { position: 'a', eventIds: ['1'] });
+        assert.deepStrictEqual(await store.get('other'), { position: 'b', eventIds: [] });
+
+        await fs.writeFile(file, 'not json');
+        assert.strictEqual(await store.get(JOURNAL), undefined);
+        assert.throws(() => new FileCheckpointStore(), /requires a file path/);
+    });
+
+    it('should start at the latest events without a checkpoint', async () => {
+        const emitter = createEventEmitter();
+        assert.strictEqual(ioEventEmitterMock.options.latest, true);
+        assert.strictEqual(ioEventEmitterMock.options.restart, undefined);
+        await emitter.close();
+    });
+
+    it('should save the position of consumed events and resume from it', async () => {
+        const file = path.join(dir, 'checkpoints.json');
+        let emitter = createEventEmitter(file);
+        await emitter._starting;
+        assert.strictEqual(ioEventEmitterMock.options.restart, undefined);
+
+        const received = [];
+        emitter.on('rendition_created', event => received.push(event.event_id));
+        ioEventEmitterMock.emit('event', journalEvent('p1'));
+        ioEventEmitterMock.emit('event', journalEvent('p2'));
+        await emitter.close();
+
+        assert.deepStrictEqual(received, ['id-p1', 'id-p2']);
+        assert.deepStrictEqual((await fs.readJson(file))[JOURNAL], {
+            position: 'p2',
+            eventIds: ['id-p1', 'id-p2']
+        });
+
+        // restart
+        emitter = createEventEmitter(file);
+        await emitter._starting;
+        assert.strictEqual(ioEventEmitterMock.options.restart, `${JOURNAL}?since=p2`);
+
+        // events already consumed are skipped
+        received.length = 0;
+        emitter.on('rendition_created', event => received.push(event.event_id));
+        ioEventEmitterMock.emit('event', journalEvent('p2'));
+        ioEventEmitterMock.emit('event', journalEvent('p3'));
+        assert.deepStrictEqual(received, ['id-p3']);
+
+        // after a polling error, resume after the checkpoint instead of the latest events
+        ioEventEmitterMock.next = ioEventEmitterMock.journalUrl;
+        ioEventEmitterMock.emit('poll');
+        assert.strictEqual(ioEventEmitterMock.next, `${JOURNAL}?since=p3`);
+        await emitter.close();
+    });
+
+    it('should support custom checkpoint stores', async () => {
+        const store = new MemoryCheckpointStore();
+        await store.set(JOURNAL, { position: 'p5' });
+        const emitter = createEventEmitter(store);
+        await emitter._starting;
+        assert.strictEqual(ioEventEmitterMock.options.restart, `${JOURNAL}?since=p5`);
+
+        ioEventEmitterMock.emit('event', journalEvent('p6'));
+        await emitter.close();
+        assert.strictEqual((await store.get(JOURNAL)).position, 'p6');
+
+        assert.throws(() => createEventEmitter({}), /checkpointStore must be/);
+    });
+
+    it('should start from the latest events if the checkpoint cannot be read', async () => {
+        const errors = [];
+        const emitter = createEventEmitter({
+            get: async () => { throw Error('store unavailable'); },
+            set: async () => {}
+        });
+        emitter.on('error', error => errors.push(error.message));
+        await emitter._starting;
+        assert.deepStrictEqual(errors, ['store unavailable']);
+        assert.strictEqual(ioEventEmitterMock.options.restart, undefined);
+        await emitter.close();
+    });
+});
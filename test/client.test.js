@@ -18,6 +18,8 @@
 const mockRequire = require('mock-require');
 const assert = require('assert');
 const nock = require('nock');
+// not a global before Node.js 15
+const { AbortController } = require('abort-controller');
 const { EventEmitter } = require('events');
 
 const DEFAULT_INTEGRATION = {
@@ -187,7 +189,8 @@ describe('client.js tests', () => {
         [
             {
                 name: 'rendition.jpg',
-                fmt: 'jpg'
+                fmt: 'jpg',
+                url: 'https://example.com/rendition.jpg'
             }
         ]);
         assert.strictEqual(response.requestId, '3214');
@@ -198,6 +201,51 @@ describe('client.js tests', () => {
         assert.ok(!assetComputeClient._registered);
     });
 
+    it('should queue /process calls and retry them on 429', async function () {
+        const { AssetComputeClient } = require('../lib/client');
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(429, 'Too many requests', { 'retry-after': '0' });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .twice()
+            .reply(200, {
+                'ok': true,
+                'requestId': '3214'
+            });
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION, {
+            queue: { concurrency: 1 }
+        });
+        await assetComputeClient.register();
+
+        const renditions = [{
+            name: 'rendition.jpg',
+            fmt: 'jpg',
+            url: 'https://example.com/rendition.jpg'
+        }];
+        const responses = Promise.all([
+            assetComputeClient.process({ url: 'https://example.com/dog.jpg' }, renditions),
+            assetComputeClient.process({ url: 'https://example.com/cat.jpg' }, renditions)
+        ]);
+        assert.strictEqual(assetComputeClient.queue.size, 1);
+
+        // retried by the queue without the 30-60 seconds wait
+        const [first, second] = await responses;
+        assert.strictEqual(first.requestId, '3214');
+        assert.strictEqual(second.requestId, '3214');
+        await assetComputeClient.queue.onIdle();
+        assert.strictEqual(assetComputeClient.pendingRenditions, 2);
+        assert.ok(nock.isDone());
+        await assetComputeClient.close();
+    });
+
     it('should call /register, /process, then /unregister multiple times', async function () {
         const { AssetComputeClient } = require('../lib/client');
 
@@ -254,7 +302,8 @@ describe('client.js tests', () => {
         [
             {
                 name: 'rendition.jpg',
-                fmt: 'jpg'
+                fmt: 'jpg',
+                url: 'https://example.com/rendition.jpg'
             }
         ]);
         assert.strictEqual(response.requestId, '3214');
@@ -320,7 +369,8 @@ describe('client.js tests', () => {
         [
             {
                 name: 'rendition.jpg',
-                fmt: 'jpg'
+                fmt: 'jpg',
+                url: 'https://example.com/rendition.jpg'
             }
         ]);
         assert.strictEqual(response.requestId, '3214');
@@ -338,7 +388,8 @@ describe('client.js tests', () => {
             [
                 {
                     name: 'rendition.jpg',
-                    fmt: 'jpg'
+                    fmt: 'jpg',
+                    url: 'https://example.com/rendition.jpg'
                 }
             ]);
             assert.fail('Should have failed.');
@@ -373,7 +424,8 @@ describe('client.js tests', () => {
         [
             {
                 name: 'rendition.jpg',
-                fmt: 'jpg'
+                fmt: 'jpg',
+                url: 'https://example.com/rendition.jpg'
             }
         ]);
         assert.strictEqual(response.requestId, '3214');
@@ -423,7 +475,8 @@ describe('client.js tests', () => {
             [
                 {
                     name: 'rendition.jpg',
-                    fmt: 'jpg'
+                    fmt: 'jpg',
+                    url: 'https://example.com/rendition.jpg'
                 }
             ]);
             assert.fail('Should have failed.');
@@ -459,7 +512,8 @@ describe('client.js tests', () => {
         [
             {
                 name: 'rendition.jpg',
-                fmt: 'jpg'
+                fmt: 'jpg',
+                url: 'https://example.com/rendition.jpg'
             }
         ]);
         assert.ok(assetComputeClient._registered);
@@ -485,6 +539,55 @@ describe('client.js tests', () => {
         await assetComputeClient.close();
     });
 
+    it('should wait until the event journal is ready', async function () {
+        const { AssetComputeClient } = require('../lib/client');
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION);
+        await assert.rejects(assetComputeClient.waitUntilReady(), /Must call register/);
+
+        assetComputeClient._registered = true;
+        let checks = 0;
+        assetComputeClient.isEventJournalReady = async () => ++checks === 3;
+        await assetComputeClient.waitUntilReady({ pollInterval: 10 });
+        assert.strictEqual(checks, 3);
+
+        assetComputeClient.journal = 'JOURNAL_NOT_READY';
+        delete assetComputeClient.isEventJournalReady;
+        await assert.rejects(
+            assetComputeClient.waitUntilReady({ timeout: 50, pollInterval: 10 }),
+            /Event journal not ready after 50 ms/
+        );
+
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 20);
+        await assert.rejects(
+            assetComputeClient.waitUntilReady({ pollInterval: 10, signal: controller.signal }),
+            { name: 'AbortError' }
+        );
+    });
+
+    it('should wait until the event journal is ready in AssetComputeClient.create()', async function () {
+        const { AssetComputeClient } = require('../lib/client');
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'JOURNAL_NOT_READY'
+            });
+        await assert.rejects(AssetComputeClient.create(DEFAULT_INTEGRATION, {
+            waitUntilReady: { timeout: 30, pollInterval: 10 }
+        }), /Event journal not ready after 30 ms/);
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345'
+            });
+        const assetComputeClient = await AssetComputeClient.create(DEFAULT_INTEGRATION, { waitUntilReady: true });
+        assert.ok(assetComputeClient._registered);
+    });
+
 });
 
 describe('client.js event emitting', () => {
@@ -555,7 +658,8 @@ describe('client.js event emitting', () => {
                 url: 'https://example.com/dog.jpg'
             },[{
                 name: 'rendition.jpg',
-                fmt: 'jpg'
+                fmt: 'jpg',
+                url: 'https://example.com/rendition.jpg'
             }]
         );
 
@@ -580,4 +684,1308 @@ describe('client.js event emitting', () => {
         assert.strictEqual(events[0].type, "rendition_created");
         assert.strictEqual(events[0].custom, "Hello world");
     });
-});
\ No newline at end of file
+
+    it('should log journal errors with the logger if no error listener is registered', async function () {
+        let ioEventEmitterMock;
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                createAccessToken() {
+                    return '123456';
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor() {
+                    super();
+                    ioEventEmitterMock = this;
+                }
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, {
+                'ok': true,
+                'requestId': '3214'
+            });
+        const messages = [];
+        const logger = {
+            warn: (fields, message) => messages.push([fields, message])
+        };
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION, { logger });
+        await assetComputeClient.register();
+        await assetComputeClient.process({ url: 'https://example.com/dog.jpg' }, [{
+            name: 'rendition.jpg',
+            fmt: 'jpg',
+            url: 'https://example.com/rendition.jpg'
+        }]);
+
+        ioEventEmitterMock.emit("error", new Error("Network issue"));
+        await assetComputeClient.close();
+        assert.deepStrictEqual(messages, [[{ error: 'Network issue', status: undefined }, 'Error polling event journal: Network issue']]);
+    });
+
+    it('should stop waiting when the signal is aborted', async function () {
+        let ioEventEmitterMock;
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                createAccessToken() {
+                    return '123456';
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor() {
+                    super();
+                    ioEventEmitterMock = this;
+                }
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, {
+                'ok': true,
+                'requestId': '3214'
+            });
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION);
+        await assetComputeClient.register();
+        const { requestId } = await assetComputeClient.process(
+            {
+                url: 'https://example.com/dog.jpg'
+            },[{
+                name: 'rendition.jpg',
+                fmt: 'jpg',
+                url: 'https://example.com/rendition.jpg'
+            }]
+        );
+
+        const controller = new AbortController();
+        const waitActivationPromise = assetComputeClient.waitActivation(requestId, { timeout: 60000, signal: controller.signal });
+        const waitPromise = assetComputeClient.wait({ signal: controller.signal });
+        controller.abort();
+
+        await assert.rejects(waitActivationPromise, { name: 'AbortError' });
+        await assert.rejects(waitPromise, { name: 'AbortError' });
+        assert.strictEqual(assetComputeClient.listenerCount("rendition_created"), 0);
+        assert.strictEqual(assetComputeClient.listenerCount("drained"), 0);
+
+        // already aborted
+        await assert.rejects(assetComputeClient.waitActivation(requestId, { signal: controller.signal }), { name: 'AbortError' });
+
+        // still receives events after an aborted wait
+        const events = assetComputeClient.waitActivation(requestId, { timeout: 1000 });
+        ioEventEmitterMock.emit("event", buildEvent({ type: "rendition_created" }, assetComputeClient, requestId));
+        assert.strictEqual((await events).length, 1);
+        await assetComputeClient.close();
+    });
+
+    it('should replay events received before waitActivation is called', async function () {
+        let ioEventEmitterMock;
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                createAccessToken() {
+                    return '123456';
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor() {
+                    super();
+                    ioEventEmitterMock = this;
+                }
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, {
+                'ok': true,
+                'requestId': '3214'
+            });
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION);
+        await assetComputeClient.register();
+        const { requestId } = await assetComputeClient.process(
+            {
+                url: 'https://example.com/dog.jpg'
+            },[{
+                name: 'rendition.jpg',
+                fmt: 'jpg',
+                url: 'https://example.com/rendition.jpg'
+            }]
+        );
+
+        // event arrives before anyone is waiting
+        ioEventEmitterMock.emit("event", buildEvent({ type: "rendition_created" }, assetComputeClient, requestId));
+        assert.strictEqual(assetComputeClient.eventBuffer.size, 1);
+
+        const events = await assetComputeClient.waitActivation(requestId, 100);
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0].type, "rendition_created");
+        assert.strictEqual(assetComputeClient.eventBuffer.size, 0);
+        assert.strictEqual(assetComputeClient.listenerCount("rendition_created"), 0);
+        await assetComputeClient.close();
+    });
+
+    it('should iterate over the events of requests until all their renditions finished', async function () {
+        let ioEventEmitterMock;
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                createAccessToken() {
+                    return '123456';
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor() {
+                    super();
+                    ioEventEmitterMock = this;
+                }
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, {
+                'ok': true,
+                'requestId': '3214'
+            });
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION);
+        await assetComputeClient.register();
+        const { requestId } = await assetComputeClient.process({ url: 'https://example.com/dog.jpg' }, [
+            { fmt: 'jpg', url: 'https://example.com/rendition.jpg' },
+            { fmt: 'png', url: 'https://example.com/rendition.png' }
+        ]);
+        const emitEvent = (type, index) => {
+            const userData = { assetComputeClient: { id: assetComputeClient.id, index, length: 2 } };
+            ioEventEmitterMock.emit("event", { event: {
+                type,
+                requestId,
+                userData,
+                rendition: { userData }
+            }});
+        };
+
+        // replayed to the iterator
+        emitEvent("rendition_created", 0);
+        const failures = assetComputeClient.events({ requestId, types: ["rendition_failed"] });
+        const received = [];
+        const iterating = (async () => {
+            for await (const event of assetComputeClient.events({ requestId })) {
+                received.push(event);
+            }
+        })();
+        setTimeout(() => emitEvent("rendition_failed", 1), 10);
+        await iterating;
+
+        assert.deepStrictEqual(received.map(event => event.type), ["rendition_created", "rendition_failed"]);
+        assert.strictEqual((await failures.next()).value.type, "rendition_failed");
+        assert.strictEqual((await failures.next()).done, true);
+        assert.strictEqual(assetComputeClient.eventDispatcher.size, 0);
+        assert.strictEqual(assetComputeClient.eventIterators.size, 0);
+        await assetComputeClient.close();
+    });
+
+    it('should end event iterators and streams on abort and close', async function () {
+        let ioEventEmitterMock;
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                createAccessToken() {
+                    return '123456';
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor() {
+                    super();
+                    ioEventEmitterMock = this;
+                }
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, {
+                'ok': true,
+                'requestId': '3214'
+            });
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION);
+        await assetComputeClient.register();
+        const { requestId } = await assetComputeClient.process({ url: 'https://example.com/dog.jpg' }, [
+            { fmt: 'jpg', url: 'https://example.com/rendition.jpg' }
+        ]);
+
+        const controller = new AbortController();
+        const iterator = assetComputeClient.events({ signal: controller.signal });
+        const stream = assetComputeClient.eventStream();
+        const streamed = [];
+        stream.on("data", event => streamed.push(event));
+        const streamEnded = new Promise(resolve => stream.on("end", resolve));
+
+        ioEventEmitterMock.emit("event", buildEvent({ type: "rendition_created" }, assetComputeClient, requestId));
+        assert.strictEqual((await iterator.next()).value.requestId, requestId);
+        controller.abort();
+        assert.strictEqual((await iterator.next()).done, true);
+        assert.strictEqual(assetComputeClient.listenerCount("rendition_created"), 1);
+
+        await assetComputeClient.close();
+        await streamEnded;
+        assert.strictEqual(streamed.length, 1);
+        assert.strictEqual(assetComputeClient.listenerCount("rendition_created"), 0);
+    });
+
+    it('should drop duplicate events and replace a failure with a created rendition', async function () {
+        let ioEventEmitterMock;
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                createAccessToken() {
+                    return '123456';
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor() {
+                    super();
+                    ioEventEmitterMock = this;
+                }
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, { 'ok': true, 'requestId': '3214' });
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION);
+        await assetComputeClient.register();
+        const { requestId } = await assetComputeClient.process({ url: 'https://example.com/dog.jpg' }, [
+            { fmt: 'jpg', url: 'https://example.com/rendition.jpg' },
+            { fmt: 'png', url: 'https://example.com/rendition.png' }
+        ]);
+        const emitEvent = (type, index) => {
+            const userData = { assetComputeClient: { id: assetComputeClient.id, index, length: 2 } };
+            ioEventEmitterMock.emit("event", { event: {
+                type,
+                requestId,
+                userData,
+                rendition: { userData }
+            }});
+        };
+        const duplicates = [];
+        assetComputeClient.on("duplicate_event", duplicate => duplicates.push(duplicate));
+
+        const promise = assetComputeClient.waitActivation(requestId, 1000);
+        emitEvent("rendition_failed", 0);
+        emitEvent("rendition_failed", 0);
+        emitEvent("rendition_created", 0);
+        emitEvent("rendition_failed", 0);
+        assert.strictEqual(assetComputeClient.pendingRenditions, 1);
+        emitEvent("rendition_created", 1);
+        emitEvent("rendition_created", 1);
+
+        const events = await promise;
+        assert.deepStrictEqual(events.map(event => event.type), ["rendition_created", "rendition_created"]);
+        assert.strictEqual(assetComputeClient.pendingRenditions, 0);
+        assert.deepStrictEqual(duplicates.map(duplicate => duplicate.reason), [
+            "redelivered", "failed_after_created", "redelivered"
+        ]);
+        assert.strictEqual(duplicates[1].previous.type, "rendition_created");
+        await assetComputeClient.close();
+    });
+
+    it('should match rendition events by caller-supplied ids', async function () {
+        let ioEventEmitterMock;
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                createAccessToken() {
+                    return '123456';
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor() {
+                    super();
+                    ioEventEmitterMock = this;
+                }
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+
+        let processBody;
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process', body => {
+                processBody = body;
+                return true;
+            })
+            .reply(200, { 'ok': true, 'requestId': '3214' });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, { 'ok': true, 'requestId': '3215' });
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION);
+        await assetComputeClient.register();
+        const renditions = [
+            { id: 'row-7', fmt: 'jpg', url: 'https://example.com/rendition.jpg' },
+            { id: 'row-9', fmt: 'png', url: 'https://example.com/rendition.png' }
+        ];
+        // the service echoes the rendition as sent
+        const emitEvents = requestId => {
+            processBody.renditions.slice().reverse().forEach(rendition => {
+                ioEventEmitterMock.emit("event", { event: {
+                    type: "rendition_created",
+                    requestId,
+                    userData: processBody.userData,
+                    rendition
+                }});
+            });
+        };
+
+        const { requestId } = await assetComputeClient.process({ url: 'https://example.com/dog.jpg' }, renditions);
+        assert.strictEqual(processBody.renditions[0].id, undefined);
+        assert.strictEqual(processBody.renditions[0].userData.assetComputeClient.renditionId, 'row-7');
+        assert.strictEqual(renditions[0].id, 'row-7');
+
+        const single = assetComputeClient.waitActivation(requestId, { timeout: 1000, renditionId: 'row-9' });
+        const all = assetComputeClient.waitActivation(requestId, 1000);
+        emitEvents(requestId);
+        assert.strictEqual((await single).rendition.fmt, 'png');
+        const events = await all;
+        assert.ok(events instanceof Map);
+        assert.deepStrictEqual([...events.keys()], ['row-7', 'row-9']);
+        assert.strictEqual(events.get('row-7').rendition.fmt, 'jpg');
+
+        const promise = assetComputeClient.processAndWait({ url: 'https://example.com/dog.jpg' }, renditions, { timeout: 1000 });
+        setTimeout(emitEvents, 10, '3215');
+        const result = await promise;
+        assert.strictEqual(result.renditions[1].id, 'row-9');
+        assert.strictEqual(result.byId.get('row-9'), result.renditions[1]);
+
+        await assert.rejects(
+            assetComputeClient.process({ url: 'https://example.com/dog.jpg' }, [renditions[0], renditions[0]]),
+            /duplicate id 'row-7'/
+        );
+        await assetComputeClient.close();
+    });
+
+    it('should keep rendition events for sequential lookups by id', async function () {
+        let ioEventEmitterMock;
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                createAccessToken() {
+                    return '123456';
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor() {
+                    super();
+                    ioEventEmitterMock = this;
+                }
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+
+        let processBody;
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+        ['4001', '4002', '4003', '4004'].forEach(requestId => {
+            nock('https://asset-compute.adobe.io')
+                .post('/process', body => {
+                    processBody = body;
+                    return true;
+                })
+                .reply(200, { 'ok': true, 'requestId': requestId });
+        });
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION);
+        await assetComputeClient.register();
+        const renditions = [
+            { id: 'a', fmt: 'jpg', url: 'https://example.com/rendition.jpg' },
+            { id: 'b', fmt: 'png', url: 'https://example.com/rendition.png' }
+        ];
+        const emitEvents = (requestId, order) => {
+            order.forEach(index => {
+                ioEventEmitterMock.emit("event", { event: {
+                    type: "rendition_created",
+                    requestId,
+                    userData: processBody.userData,
+                    rendition: processBody.renditions[index]
+                }});
+            });
+        };
+        const lookup = async (requestId, ids) => {
+            for (const renditionId of ids) {
+                const event = await assetComputeClient.waitActivation(requestId, { timeout: 200, renditionId });
+                assert.strictEqual(event.rendition.userData.assetComputeClient.renditionId, renditionId);
+            }
+            const events = await assetComputeClient.waitActivation(requestId, 200);
+            assert.deepStrictEqual([...events.keys()], ['a', 'b']);
+        };
+
+        // events arriving before the lookups
+        for (const [requestId, order] of [['4001', [0, 1]], ['4002', [1, 0]]]) {
+            await assetComputeClient.process({ url: 'https://example.com/dog.jpg' }, renditions);
+            emitEvents(requestId, order);
+            await lookup(requestId, ['b', 'a']);
+        }
+
+        // events arriving while the first lookup waits
+        for (const [requestId, order] of [['4003', [0, 1]], ['4004', [1, 0]]]) {
+            await assetComputeClient.process({ url: 'https://example.com/dog.jpg' }, renditions);
+            const first = order[1] === 0 ? 'a' : 'b';
+            const second = first === 'a' ? 'b' : 'a';
+            const single = assetComputeClient.waitActivation(requestId, { timeout: 200, renditionId: first });
+            emitEvents(requestId, order);
+            await single;
+            await lookup(requestId, [second, first]);
+        }
+        await assetComputeClient.close();
+    });
+
+    it('should submit failed renditions again with renditionRetry', async function () {
+        let ioEventEmitterMock;
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                createAccessToken() {
+                    return '123456';
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor() {
+                    super();
+                    ioEventEmitterMock = this;
+                }
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+
+        const bodies = [];
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process', body => bodies.push(body))
+            .reply(200, { 'ok': true, 'requestId': '3214' });
+        nock('https://asset-compute.adobe.io')
+            .post('/process', body => bodies.push(body))
+            .reply(200, { 'ok': true, 'requestId': '3215' });
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION, {
+            renditionRetry: { minDelay: 10, maxDelay: 10 }
+        });
+        await assetComputeClient.register();
+        const retries = [];
+        assetComputeClient.on("rendition_retry", info => retries.push(info));
+        const emitEvent = (type, requestId, body, index, errorReason) => {
+            ioEventEmitterMock.emit("event", { event: {
+                type,
+                requestId,
+                errorReason,
+                userData: body.userData,
+                rendition: body.renditions[index]
+            }});
+        };
+
+        const renditions = [
+            { fmt: 'jpg', url: 'https://example.com/rendition.jpg' },
+            { fmt: 'png', url: 'https://example.com/rendition.png' }
+        ];
+        const promise = assetComputeClient.processAndWait({ url: 'https://example.com/dog.jpg' }, renditions, { timeout: 1000 });
+        await new Promise(resolve => setTimeout(resolve, 10));
+        emitEvent("rendition_failed", '3214', bodies[0], 0, "GenericError");
+        emitEvent("rendition_failed", '3214', bodies[0], 1, "SourceUnsupported");
+        assert.strictEqual(retries.length, 1);
+        assert.strictEqual(retries[0].requestId, '3214');
+
+        // only the failed rendition is submitted again
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.strictEqual(bodies[1].renditions.length, 1);
+        assert.strictEqual(bodies[1].renditions[0].fmt, 'jpg');
+        emitEvent("rendition_created", '3215', bodies[1], 0);
+
+        const result = await promise;
+        assert.strictEqual(result.requestId, '3214');
+        assert.strictEqual(result.renditions[0].succeeded, true);
+        assert.deepStrictEqual(result.renditions[0].attempts.map(attempt => [attempt.requestId, attempt.type]), [
+            ['3214', 'rendition_failed'],
+            ['3215', 'rendition_created']
+        ]);
+        assert.strictEqual(result.renditions[1].errorReason, 'SourceUnsupported');
+        assert.strictEqual(result.renditions[1].attempts.length, 1);
+        assert.strictEqual(assetComputeClient.pendingRenditions, 0);
+        await assetComputeClient.close();
+    });
+
+    it('should retry renditions failing before the response of /process', async function () {
+        let ioEventEmitterMock;
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                createAccessToken() {
+                    return '123456';
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor() {
+                    super();
+                    ioEventEmitterMock = this;
+                }
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+
+        const emitEvent = (type, requestId, body, errorReason) => {
+            ioEventEmitterMock.emit("event", { event: {
+                type,
+                requestId,
+                errorReason,
+                userData: body.userData,
+                rendition: body.renditions[0]
+            }});
+        };
+        const bodies = [];
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, (uri, body) => {
+                bodies.push(body);
+                emitEvent("rendition_failed", '3214', body, "GenericError");
+                return { 'ok': true, 'requestId': '3214' };
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process', body => bodies.push(body))
+            .reply(200, { 'ok': true, 'requestId': '3215' });
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION, {
+            renditionRetry: { minDelay: 10, maxDelay: 10 }
+        });
+        await assetComputeClient.register();
+        const errors = [];
+        assetComputeClient.on("error", error => errors.push(error));
+
+        const promise = assetComputeClient.processAndWait({ url: 'https://example.com/dog.jpg' }, [
+            { fmt: 'jpg', url: 'https://example.com/rendition.jpg' }
+        ], { timeout: 1000 });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.strictEqual(bodies.length, 2);
+        emitEvent("rendition_created", '3215', bodies[1]);
+
+        const result = await promise;
+        assert.strictEqual(result.renditions[0].succeeded, true);
+        assert.strictEqual(result.renditions[0].attempts.length, 2);
+        assert.strictEqual(assetComputeClient.renditionRetrier.requests.size, 0);
+        assert.strictEqual(assetComputeClient.pendingRenditions, 0);
+        assert.deepStrictEqual(errors, []);
+        await assetComputeClient.close();
+    });
+
+    it('should process and wait for structured rendition results', async function () {
+        let ioEventEmitterMock;
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                createAccessToken() {
+                    return '123456';
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor() {
+                    super();
+                    ioEventEmitterMock = this;
+                }
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, {
+                'ok': true,
+                'requestId': '3214'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, {
+                'ok': true,
+                'requestId': '3215'
+            });
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION);
+        await assetComputeClient.register();
+        assetComputeClient.on("error", () => {});
+
+        const renditions = [{
+            name: 'rendition.jpg',
+            fmt: 'jpg',
+            url: 'https://example.com/rendition.jpg'
+        }, {
+            name: 'rendition.png',
+            fmt: 'png',
+            url: 'https://example.com/rendition.png'
+        }];
+        function emitEvents(requestId) {
+            // events arrive out of order
+            const userData = index => ({
+                assetComputeClient: { id: assetComputeClient.id, index, length: 2 }
+            });
+            ioEventEmitterMock.emit("event", { event: {
+                type: "rendition_failed",
+                requestId,
+                errorReason: "SourceCorrupt",
+                errorMessage: "cannot read source",
+                userData: userData(1),
+                rendition: { ...renditions[1], userData: userData(1) }
+            }});
+            ioEventEmitterMock.emit("event", { event: {
+                type: "rendition_created",
+                requestId,
+                metadata: { "repo:size": 1234 },
+                userData: userData(0),
+                rendition: { ...renditions[0], userData: userData(0) }
+            }});
+        }
+
+        let promise = assetComputeClient.processAndWait({ url: 'https://example.com/dog.jpg' }, renditions, { timeout: 1000 });
+        setTimeout(emitEvents, 10, '3214');
+        const result = await promise;
+        assert.strictEqual(result.requestId, '3214');
+        assert.strictEqual(result.renditions.length, 2);
+        assert.deepStrictEqual(result.renditions[0].rendition, renditions[0]);
+        assert.strictEqual(result.renditions[0].succeeded, true);
+        assert.deepStrictEqual(result.renditions[0].metadata, { "repo:size": 1234 });
+        assert.strictEqual(result.renditions[1].succeeded, false);
+        assert.strictEqual(result.renditions[1].errorReason, "SourceCorrupt");
+        assert.strictEqual(result.renditions[1].errorMessage, "cannot read source");
+        assert.deepStrictEqual(result.succeeded, [result.renditions[0]]);
+        assert.deepStrictEqual(result.failed, [result.renditions[1]]);
+
+        promise = assetComputeClient.processAndWait({ url: 'https://example.com/dog.jpg' }, renditions, {
+            timeout: 1000,
+            throwOnFailure: true
+        });
+        setTimeout(emitEvents, 10, '3215');
+        await assert.rejects(promise, error => {
+            assert.strictEqual(error.name, 'RenditionsFailedError');
+            assert.strictEqual(error.requestId, '3215');
+            assert.strictEqual(error.failed.length, 1);
+            assert.strictEqual(error.failed[0].index, 1);
+            assert.strictEqual(error.result.succeeded.length, 1);
+            assert.ok(error.message.includes('SourceCorrupt'));
+            return true;
+        });
+        assert.ok(nock.isDone());
+        await assetComputeClient.close();
+    });
+
+    it('should keep the events received when waiting times out', async function () {
+        let ioEventEmitterMock;
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                createAccessToken() {
+                    return '123456';
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor() {
+                    super();
+                    ioEventEmitterMock = this;
+                }
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, { 'ok': true, 'requestId': '3214' });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, { 'ok': true, 'requestId': '5678' });
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION);
+        await assetComputeClient.register();
+
+        const renditions = [
+            { name: 'rendition.jpg', fmt: 'jpg', url: 'https://example.com/rendition.jpg' },
+            { name: 'rendition.png', fmt: 'png', url: 'https://example.com/rendition.png' }
+        ];
+        const { requestId } = await assetComputeClient.process({ url: 'https://example.com/dog.jpg' }, renditions);
+        const userData = { assetComputeClient: { id: assetComputeClient.id, index: 1, length: 2 } };
+        ioEventEmitterMock.emit("event", { event: {
+            type: "rendition_created",
+            requestId,
+            userData,
+            rendition: { ...renditions[1], userData }
+        }});
+
+        await assert.rejects(assetComputeClient.waitActivation(requestId, 20), error => {
+            assert.strictEqual(error.name, 'TimeoutError');
+            assert.strictEqual(error.message, 'Request 3214 timed out after 20 ms, 1 of 2 renditions missing');
+            assert.strictEqual(error.requestId, requestId);
+            assert.strictEqual(error.events[1].type, 'rendition_created');
+            assert.deepStrictEqual(error.missing, [0]);
+            return true;
+        });
+
+        // the events are still replayed to the next call
+        const events = await assetComputeClient.waitActivation(requestId, { timeout: 20, partial: true });
+        assert.strictEqual(events.length, 2);
+        assert.strictEqual(events[0], undefined);
+        assert.strictEqual(events[1].type, 'rendition_created');
+
+        // no event at all
+        const result = await assetComputeClient.processAndWait({ url: 'https://example.com/dog.jpg' }, renditions, {
+            timeout: 20,
+            partial: true,
+            throwOnFailure: true
+        });
+        assert.strictEqual(result.requestId, '5678');
+        assert.deepStrictEqual(result.missing.map(missing => missing.index), [0, 1]);
+        assert.strictEqual(result.missing[0].rendition, renditions[0]);
+        assert.deepStrictEqual(result.failed, []);
+
+        await assert.rejects(assetComputeClient.wait(20), error => {
+            assert.strictEqual(error.name, 'TimeoutError');
+            assert.strictEqual(error.pendingRenditions, 3);
+            return true;
+        });
+        await assetComputeClient.wait({ timeout: 20, partial: true });
+        await assetComputeClient.close();
+    });
+});
+describe('client.js access token refresh', () => {
+    let tokens;
+    let ioEventEmitterMock;
+
+    function createToken(name, expiresIn) {
+        const payload = Buffer.from(JSON.stringify({
+            name,
+            created_at: `${Date.now()}`,
+            expires_in: `${expiresIn}`
+        })).toString('base64');
+        return `header.${payload}.signature`;
+    }
+
+    beforeEach(() => {
+        tokens = [];
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                async createAccessToken() {
+                    return tokens.shift();
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {
+                constructor(options) {
+                    this.auth = { accessToken: options.accessToken };
+                }
+                async getEventsFromJournal() {
+                    // the access token used for polling
+                    return this.auth.accessToken;
+                }
+            },
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor(ioEvents) {
+                    super();
+                    this.ioEvents = ioEvents;
+                    ioEventEmitterMock = this;
+                }
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+    });
+
+    afterEach(() => {
+        mockRequire.stopAll();
+        nock.cleanAll();
+    });
+
+    it('should refresh an expired access token before calling /process', async function () {
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+        const expiredToken = createToken('expired', 60 * 60 * 1000);
+        const freshToken = createToken('fresh', 24 * 60 * 60 * 1000);
+        tokens.push(expiredToken, freshToken);
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .matchHeader('authorization', `Bearer ${expiredToken}`)
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .matchHeader('authorization', `Bearer ${freshToken}`)
+            .reply(200, {
+                'ok': true,
+                'requestId': '3214'
+            });
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION);
+        await assetComputeClient.register();
+        // simulate the token running out
+        assetComputeClient.accessTokenExpiry = Date.now() - 1;
+
+        const response = await assetComputeClient.process({
+            url: 'https://example.com/dog.jpg'
+        }, [{
+            name: 'rendition.jpg',
+            fmt: 'jpg',
+            url: 'https://example.com/rendition.jpg'
+        }]);
+        await assetComputeClient.close();
+
+        assert.strictEqual(response.requestId, '3214');
+        assert.strictEqual(assetComputeClient.accessToken, freshToken);
+        assert.strictEqual(await ioEventEmitterMock.ioEvents.getEventsFromJournal(), freshToken);
+        assert.ok(nock.isDone());
+    });
+
+    it('should refresh the access token and retry once on 401', async function () {
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+        tokens.push('revoked-token', 'new-token');
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .matchHeader('authorization', 'Bearer revoked-token')
+            .reply(401, {
+                'ok': false,
+                'message': 'unauthorized'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .matchHeader('authorization', 'Bearer new-token')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION);
+        const response = await assetComputeClient.register();
+        assert.strictEqual(response.requestId, '1234');
+        assert.strictEqual(assetComputeClient.accessToken, 'new-token');
+        assert.ok(nock.isDone());
+    });
+
+    it('should only retry once on 401', async function () {
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+        tokens.push('token-1', 'token-2');
+
+        nock('https://asset-compute.adobe.io')
+            .post('/unregister')
+            .twice()
+            .reply(401, {
+                'ok': false,
+                'message': 'unauthorized'
+            });
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION);
+        try {
+            await assetComputeClient.unregister();
+            assert.fail('Should have failed');
+        } catch (e) {
+            assert.ok(e.message.includes('401'));
+            assert.strictEqual(e.status, 401);
+        }
+        assert.strictEqual(assetComputeClient.accessToken, 'token-2');
+        assert.ok(nock.isDone());
+    });
+
+    it('should refresh the access token used for journal polling on 401', async function () {
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+        tokens.push('token-1', 'token-2');
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, {
+                'ok': true,
+                'requestId': '3214'
+            });
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION);
+        await assetComputeClient.register();
+        await assetComputeClient.process({
+            url: 'https://example.com/dog.jpg'
+        }, [{
+            name: 'rendition.jpg',
+            fmt: 'jpg',
+            url: 'https://example.com/rendition.jpg'
+        }]);
+        assert.strictEqual(await ioEventEmitterMock.ioEvents.getEventsFromJournal(), 'token-1');
+
+        const errors = [];
+        assetComputeClient.on('error', error => errors.push(error));
+        ioEventEmitterMock.emit('error', new Error('get journal events failed with 401 Unauthorized'));
+        await assetComputeClient._accessTokenRefresh;
+        await assetComputeClient.close();
+
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(await ioEventEmitterMock.ioEvents.getEventsFromJournal(), 'token-2');
+    });
+
+    it('should share a refresh between concurrent callers', async function () {
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+        tokens.push('token-1', 'token-2');
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION);
+        const results = await Promise.all([
+            assetComputeClient.getAccessToken(),
+            assetComputeClient.getAccessToken(),
+            assetComputeClient.refreshAccessToken()
+        ]);
+        assert.deepStrictEqual(results, ['token-1', 'token-1', 'token-1']);
+        assert.deepStrictEqual(tokens, ['token-2']);
+    });
+
+    it('should replace a rejected access token in the token cache on 401', async function () {
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+        const { MemoryTokenCache } = require("../lib/tokencache");
+        const integration = {
+            TYPE: 'oauthservertoserver',
+            ORG_ID: 'org@AdobeOrg',
+            CLIENT_ID: 'client-id',
+            CLIENT_SECRETS: ['secret'],
+            SCOPES: ['asset_compute'],
+            TECHNICAL_ACCOUNT_ID: 'account-id',
+            TECHNICAL_ACCOUNT_EMAIL: 'account@example.com'
+        };
+        const tokenCache = new MemoryTokenCache();
+        // revoked, but not expired yet
+        await tokenCache.set('client-id:asset_compute', {
+            accessToken: 'revoked-token',
+            expiresAt: Date.now() + 24 * 60 * 60 * 1000
+        });
+
+        nock('https://ims-na1.adobelogin.com')
+            .post('/ims/token/v4')
+            .query({ client_id: 'client-id' })
+            .reply(200, { access_token: 'new-token', expires_in: 86399 });
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .matchHeader('authorization', 'Bearer revoked-token')
+            .reply(401, {
+                'ok': false,
+                'message': 'unauthorized'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .matchHeader('authorization', 'Bearer new-token')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+
+        const assetComputeClient = new AssetComputeClient(integration, { tokenCache });
+        const response = await assetComputeClient.register();
+        assert.strictEqual(response.requestId, '1234');
+        assert.strictEqual(assetComputeClient.accessToken, 'new-token');
+        assert.strictEqual((await tokenCache.get('client-id:asset_compute')).accessToken, 'new-token');
+        assert.ok(nock.isDone());
+    });
+
+    it('should read the access token expiry from the token', async function () {
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+        tokens.push(createToken('token', 60 * 60 * 1000), 'not-a-jwt');
+
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION);
+        await assetComputeClient.refreshAccessToken();
+        const expiry = assetComputeClient.accessTokenExpiry - Date.now();
+        assert.ok(expiry > 59 * 60 * 1000 && expiry <= 60 * 60 * 1000, expiry);
+
+        // tokens that cannot be parsed are assumed to be valid for 24 hours
+        await assetComputeClient.refreshAccessToken();
+        const defaultExpiry = assetComputeClient.accessTokenExpiry - Date.now();
+        assert.ok(defaultExpiry > 23 * 60 * 60 * 1000 && defaultExpiry <= 24 * 60 * 60 * 1000, defaultExpiry);
+    });
+});
+
+describe('client.js access token provider', () => {
+    let ioEventsOptions;
+
+    beforeEach(() => {
+        ioEventsOptions = [];
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                async createAccessToken() {
+                    throw Error('IMS should not be called');
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {
+                constructor(options) {
+                    ioEventsOptions.push(options);
+                }
+                async getEventsFromJournal() {
+                    return {};
+                }
+            },
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+    });
+
+    afterEach(() => {
+        mockRequire.stopAll();
+        nock.cleanAll();
+    });
+
+    it('should use an access token provider function instead of an integration', async function () {
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+        let count = 0;
+        const accessTokenProvider = async () => `token-${++count}`;
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .matchHeader('authorization', 'Bearer token-2')
+            .matchHeader('x-api-key', 'apiKey')
+            .matchHeader('x-ims-org-id', 'org')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .matchHeader('authorization', 'Bearer token-3')
+            .reply(200, {
+                'ok': true,
+                'requestId': '3214'
+            });
+
+        const assetComputeClient = new AssetComputeClient(null, {
+            accessTokenProvider,
+            org: 'org',
+            apiKey: 'apiKey'
+        });
+        await assetComputeClient.register();
+        const response = await assetComputeClient.process({
+            url: 'https://example.com/dog.jpg'
+        }, [{
+            name: 'rendition.jpg',
+            fmt: 'jpg',
+            url: 'https://example.com/rendition.jpg'
+        }]);
+        assert.strictEqual(response.requestId, '3214');
+
+        // journal polling asks the provider for a token on every poll
+        await assetComputeClient.eventEmitter.ioEvents.getEventsFromJournal('https://api.adobe.io/events/organizations/journal/12345');
+        await assetComputeClient.close();
+        assert.deepStrictEqual(ioEventsOptions[ioEventsOptions.length - 1], {
+            accessToken: 'token-4',
+            orgId: 'org'
+        });
+        assert.ok(nock.isDone());
+    });
+
+    it('should use an access token provider object with an integration', async function () {
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+        const accessTokenProvider = {
+            async getAccessToken() {
+                return 'provided-token';
+            }
+        };
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .matchHeader('authorization', 'Bearer provided-token')
+            .matchHeader('x-api-key', 'clientId')
+            .matchHeader('x-ims-org-id', 'org')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345',
+                'requestId': '1234'
+            });
+
+        const assetComputeClient = await AssetComputeClient.create(DEFAULT_INTEGRATION, { accessTokenProvider });
+        assert.ok(assetComputeClient._registered);
+        assert.strictEqual(await assetComputeClient.getAccessToken(), 'provided-token');
+        assert.ok(nock.isDone());
+    });
+
+    it('should ask the access token provider for a new token on 401', async function () {
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+        let refreshed = false;
+        const accessTokenProvider = async options => {
+            if (options && options.forceRefresh) {
+                refreshed = true;
+            }
+            return refreshed ? 'new-token' : 'old-token';
+        };
+
+        nock('https://asset-compute.adobe.io')
+            .post('/unregister')
+            .matchHeader('authorization', 'Bearer old-token')
+            .reply(401, {
+                'ok': false,
+                'message': 'unauthorized'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/unregister')
+            .matchHeader('authorization', 'Bearer new-token')
+            .reply(200, {
+                'ok': true,
+                'requestId': '4321'
+            });
+
+        const assetComputeClient = new AssetComputeClient(null, {
+            accessTokenProvider,
+            org: 'org',
+            apiKey: 'apiKey'
+        });
+        const { requestId } = await assetComputeClient.unregister();
+        assert.strictEqual(requestId, '4321');
+        assert.ok(refreshed);
+        assert.ok(nock.isDone());
+    });
+
+    it('should check journal readiness with the access token provider', async function () {
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+        const assetComputeClient = new AssetComputeClient(null, {
+            accessTokenProvider: async () => 'provided-token',
+            org: 'org',
+            apiKey: 'apiKey'
+        });
+        assetComputeClient.journal = 'https://api.adobe.io/events/organizations/journal/12345';
+        assert.ok(await assetComputeClient.isEventJournalReady());
+        assert.deepStrictEqual(ioEventsOptions[0], {
+            accessToken: 'provided-token',
+            orgId: 'org'
+        });
+    });
+
+    it('should fail without org and apiKey for an access token provider', async function () {
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+        assert.throws(() => new AssetComputeClient(null, {
+            accessTokenProvider: async () => 'provided-token'
+        }), /org and apiKey are required/);
+    });
+
+    it('should fail with an invalid access token provider', async function () {
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+        assert.throws(() => new AssetComputeClient(DEFAULT_INTEGRATION, {
+            accessTokenProvider: 'token'
+        }), /accessTokenProvider must be a function/);
+    });
+});
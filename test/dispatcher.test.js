@@ -0,0 +1,197 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const mockRequire = require('mock-require');
+const nock = require('nock');
+const { EventEmitter } = require('events');
+const { RenditionEventDispatcher } = require('../lib/dispatcher');
+
+const DEFAULT_INTEGRATION = {
+    applicationId: 72515,
+    consumerId: 105979,
+    metascopes: ['mocked-metascope-1'],
+    technicalAccount: {
+        id: 'id',
+        org: 'org',
+        clientId: 'clientId',
+        clientSecret: 'clientSecret',
+        privateKey: 'privateKey'
+    },
+    imsEndpoint: 'https://mocked-ims-endpoint.com'
+};
+
+describe('dispatcher.js tests', () => {
+    it('should only call the handlers of the request', () => {
+        const dispatcher = new RenditionEventDispatcher();
+        const received = [];
+        dispatcher.add('1', event => received.push(['a', event.requestId]));
+        dispatcher.add('1', event => received.push(['b', event.requestId]));
+        dispatcher.add('2', event => received.push(['c', event.requestId]));
+
+        dispatcher.dispatch({ requestId: '1' });
+        dispatcher.dispatch({ requestId: '3' });
+        assert.deepStrictEqual(received, [['a', '1'], ['b', '1']]);
+    });
+
+    it('should remove handlers', () => {
+        const dispatcher = new RenditionEventDispatcher();
+        let count = 0;
+        const remove = dispatcher.add('1', () => count++);
+        assert.strictEqual(dispatcher.size, 1);
+
+        remove();
+        assert.strictEqual(dispatcher.size, 0);
+        dispatcher.dispatch({ requestId: '1' });
+        assert.strictEqual(count, 0);
+
+        // handlers removing themselves while dispatching
+        // eslint-disable-next-line prefer-const
+        let removeSelf;
+        const handler = () => {
+            count++;
+            removeSelf();
+        };
+        removeSelf = dispatcher.add('1', handler);
+        dispatcher.add('1', () => count++);
+        dispatcher.dispatch({ requestId: '1' });
+        assert.strictEqual(count, 2);
+        dispatcher.dispatch({ requestId: '1' });
+        assert.strictEqual(count, 3);
+    });
+});
+
+describe('dispatcher.js with many waiters', () => {
+    let ioEventEmitterMock;
+
+    beforeEach(() => {
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                createAccessToken() {
+                    return '123456';
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor() {
+                    super();
+                    ioEventEmitterMock = this;
+                }
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+    });
+
+    afterEach(() => {
+        mockRequire.stopAll();
+        nock.cleanAll();
+    });
+
+    async function createClient() {
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, {
+                'ok': true,
+                'requestId': 'setup'
+            });
+        const client = new AssetComputeClient(DEFAULT_INTEGRATION);
+        await client.register();
+        // sets up the event emitter
+        await client.process({ url: 'https://example.com/dog.jpg' }, [{
+            fmt: 'jpg',
+            url: 'https://example.com/rendition.jpg'
+        }]);
+        return client;
+    }
+
+    // each round uses new request ids, events of requests already completed are dropped as duplicates
+    let round = 0;
+
+    // handlers run per event and listeners added while `concurrency` waitActivation() calls wait
+    async function measure(client, concurrency) {
+        round += 1;
+        client.pendingRenditions = concurrency;
+        const userData = {
+            assetComputeClient: { id: client.id, index: 0, length: 1 }
+        };
+        const countListeners = () => client.eventNames().reduce((count, name) => count + client.listenerCount(name), 0) +
+            ioEventEmitterMock.listenerCount("event");
+        const listeners = countListeners();
+        let handlerCalls = 0;
+        const add = client.eventDispatcher.add;
+        client.eventDispatcher.add = (requestId, handler) => add.call(client.eventDispatcher, requestId, event => {
+            handlerCalls += 1;
+            handler(event);
+        });
+        const waits = [];
+        try {
+            for (let i = 0; i < concurrency; i++) {
+                waits.push(client.waitActivation(`request-${round}-${i}`, 60000));
+            }
+        } finally {
+            client.eventDispatcher.add = add;
+        }
+
+        const waiting = {
+            requests: client.eventDispatcher.size,
+            addedListeners: countListeners() - listeners
+        };
+        for (let i = 0; i < concurrency; i++) {
+            ioEventEmitterMock.emit("event", { event: {
+                type: "rendition_created",
+                requestId: `request-${round}-${i}`,
+                userData,
+                rendition: { userData }
+            }});
+        }
+        await Promise.all(waits);
+        return { ...waiting, handlerCallsPerEvent: handlerCalls / concurrency };
+    }
+
+    it('should only run the handler of the request with thousands of concurrent waitActivation calls', async function () {
+        const client = await createClient();
+        const warnings = [];
+        const onWarning = warning => warnings.push(warning);
+        process.on('warning', onWarning);
+
+        try {
+            const small = await measure(client, 200);
+            const large = await measure(client, 5000);
+
+            // with a listener per waiter, every event would run the listeners of all waiters
+            assert.deepStrictEqual(small, { requests: 200, addedListeners: 0, handlerCallsPerEvent: 1 });
+            assert.deepStrictEqual(large, { requests: 5000, addedListeners: 0, handlerCallsPerEvent: 1 });
+            assert.strictEqual(client.eventDispatcher.size, 0);
+            assert.strictEqual(client.listenerCount("rendition_created"), 0);
+
+            // let a pending warning be emitted
+            await new Promise(resolve => setImmediate(resolve));
+            assert.ok(!warnings.some(warning => warning.name === 'MaxListenersExceededWarning'));
+        } finally {
+            process.off('warning', onWarning);
+            await client.close();
+        }
+    }).timeout(30000);
+});
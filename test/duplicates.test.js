@@ -0,0 +1,69 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const { DuplicateEventFilter } = require('../lib/duplicates');
+
+function buildEvent(type, requestId, index) {
+    return {
+        type,
+        requestId,
+        rendition: {
+            userData: {
+                assetComputeClient: { index, length: 2 }
+            }
+        }
+    };
+}
+
+describe('duplicates.js tests', () => {
+    it('should drop events of renditions already received', () => {
+        const filter = new DuplicateEventFilter();
+        const created = buildEvent('rendition_created', '1', 0);
+        assert.deepStrictEqual(filter.check(created), { previous: undefined });
+        assert.deepStrictEqual(filter.check(buildEvent('rendition_created', '1', 1)), { previous: undefined });
+        assert.deepStrictEqual(filter.check(buildEvent('rendition_created', '2', 0)), { previous: undefined });
+
+        assert.deepStrictEqual(filter.check({ ...created }), { reason: 'redelivered', previous: created });
+        assert.deepStrictEqual(filter.check(buildEvent('rendition_failed', '1', 0)), {
+            reason: 'failed_after_created',
+            previous: created
+        });
+        // events without a rendition index are not tracked
+        assert.deepStrictEqual(filter.check({ type: 'rendition_created', requestId: '1' }), {});
+    });
+
+    it('should replace a failure with a created rendition', () => {
+        const filter = new DuplicateEventFilter();
+        const failed = buildEvent('rendition_failed', '1', 0);
+        const created = buildEvent('rendition_created', '1', 0);
+        filter.check(failed);
+        assert.deepStrictEqual(filter.check({ ...failed }), { reason: 'redelivered', previous: failed });
+        assert.deepStrictEqual(filter.check(created), { previous: failed });
+        assert.deepStrictEqual(filter.check(failed), { reason: 'failed_after_created', previous: created });
+    });
+
+    it('should forget the oldest renditions', () => {
+        const filter = new DuplicateEventFilter(2);
+        filter.check(buildEvent('rendition_created', '1', 0));
+        filter.check(buildEvent('rendition_created', '1', 1));
+        filter.check(buildEvent('rendition_created', '2', 0));
+        assert.strictEqual(filter.size, 2);
+        assert.strictEqual(filter.check(buildEvent('rendition_created', '1', 0)).reason, undefined);
+        assert.strictEqual(filter.check(buildEvent('rendition_created', '2', 0)).reason, 'redelivered');
+    });
+});
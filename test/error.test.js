@@ -15,7 +15,15 @@
 
 'use strict';
 
-const { TooManyRequestsError } = require('../lib/error');
+const {
+    AssetComputeHttpError,
+    AuthenticationError,
+    ValidationError,
+    ServiceUnavailableError,
+    TooManyRequestsError,
+    createHttpError,
+    parseRateLimitHeaders
+} = require('../lib/error');
 const assert = require('assert');
 const rewire = require('rewire');
 
@@ -111,4 +119,85 @@ describe('error.js tests', () => {
         assert.strictEqual(error.name, 'TooManyRequestsError');
         assert.strictEqual(error.retryAfter, undefined);
     });
-});
\ No newline at end of file
+    it ('TooManyRequestsError with response details', function () {
+        const error = new TooManyRequestsError('429', '1', {
+            body: { message: 'Too many requests' },
+            endpoint: '/process',
+            requestId: 'request-id'
+        });
+        assert.ok(error instanceof AssetComputeHttpError);
+        assert.strictEqual(error.status, 429);
+        assert.strictEqual(error.endpoint, '/process');
+        assert.strictEqual(error.requestId, 'request-id');
+        assert.deepStrictEqual(error.body, { message: 'Too many requests' });
+        assert.strictEqual(error.retryable, true);
+    });
+    it ('createHttpError creates error by status', function () {
+        const details = status => ({ status, body: { ok: false }, endpoint: '/register', requestId: '1234' });
+
+        let error = createHttpError('401', details(401));
+        assert.ok(error instanceof AuthenticationError);
+        assert.strictEqual(error.name, 'AuthenticationError');
+        assert.strictEqual(error.retryable, false);
+
+        error = createHttpError('403', details(403));
+        assert.ok(error instanceof AuthenticationError);
+
+        error = createHttpError('400', details(400));
+        assert.ok(error instanceof ValidationError);
+        assert.strictEqual(error.name, 'ValidationError');
+        assert.strictEqual(error.retryable, false);
+
+        error = createHttpError('503', details(503));
+        assert.ok(error instanceof ServiceUnavailableError);
+        assert.strictEqual(error.name, 'ServiceUnavailableError');
+        assert.strictEqual(error.retryable, true);
+        assert.strictEqual(error.status, 503);
+        assert.strictEqual(error.endpoint, '/register');
+        assert.strictEqual(error.requestId, '1234');
+        assert.deepStrictEqual(error.body, { ok: false });
+
+        error = createHttpError('429', details(429), '3');
+        assert.ok(error instanceof TooManyRequestsError);
+        assert.strictEqual(error.retryAfter, 3);
+
+        error = createHttpError('404', details(404));
+        assert.strictEqual(error.constructor, AssetComputeHttpError);
+        assert.strictEqual(error.name, 'AssetComputeHttpError');
+        assert.strictEqual(error.retryable, false);
+        assert.ok(error instanceof Error);
+        assert.ok(error.stack.includes('404'));
+    });
+    it ('AssetComputeHttpError retryable can be overridden', function () {
+        const error = new ServiceUnavailableError('501', { status: 501, retryable: false });
+        assert.strictEqual(error.retryable, false);
+    });
+    it ('parseRateLimitHeaders parses the RateLimit headers', function () {
+        assert.deepStrictEqual(parseRateLimitHeaders({
+            'ratelimit-limit': '100',
+            'ratelimit-remaining': '5',
+            'ratelimit-reset': '30'
+        }), { limit: 100, remaining: 5, reset: 30 });
+        assert.deepStrictEqual(parseRateLimitHeaders({ 'x-ratelimit-remaining': '0' }), { remaining: 0 });
+
+        // epoch seconds in X-RateLimit-Reset
+        const reset = Math.round(Date.now() / 1000) + 60;
+        const headers = new Map([['x-ratelimit-reset', `${reset}`]]);
+        const rateLimit = parseRateLimitHeaders(headers);
+        assert.ok(rateLimit.reset >= 59 && rateLimit.reset <= 61, rateLimit.reset);
+
+        assert.strictEqual(parseRateLimitHeaders({ 'content-type': 'application/json' }), undefined);
+        assert.strictEqual(parseRateLimitHeaders(), undefined);
+    });
+    it ('TooManyRequestsError retries after the rate limit reset without retry-after', function () {
+        let error = createHttpError('429', { status: 429, rateLimit: { remaining: 0, reset: 20 } });
+        assert.strictEqual(error.retryAfter, 20);
+        assert.deepStrictEqual(error.rateLimit, { remaining: 0, reset: 20 });
+
+        error = createHttpError('429', { status: 429, rateLimit: { remaining: 0, reset: 20 } }, '3');
+        assert.strictEqual(error.retryAfter, 3);
+
+        error = createHttpError('429', { status: 429, rateLimit: { remaining: 0, reset: 0 } });
+        assert.strictEqual(error.retryAfter, 1);
+    });
+});
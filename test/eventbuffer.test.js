@@ -0,0 +1,110 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const { RenditionEventBuffer } = require('../lib/eventbuffer');
+
+function buildEvent(requestId, index, length) {
+    return {
+        type: 'rendition_created',
+        requestId,
+        rendition: {
+            userData: {
+                assetComputeClient: { index, length }
+            }
+        }
+    };
+}
+
+describe('eventbuffer.js tests', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({ now: 1000000 });
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('should keep events per request', () => {
+        const buffer = new RenditionEventBuffer();
+        buffer.add(buildEvent('1', 0, 2));
+        buffer.add(buildEvent('2', 0, 1));
+        buffer.add(buildEvent('1', 1, 2));
+
+        assert.deepStrictEqual(buffer.get('1').map(e => e.rendition.userData.assetComputeClient.index), [0, 1]);
+        assert.strictEqual(buffer.get('2').length, 1);
+        assert.deepStrictEqual(buffer.get('3'), []);
+
+        buffer.delete('1');
+        assert.deepStrictEqual(buffer.get('1'), []);
+        assert.strictEqual(buffer.size, 1);
+    });
+
+    it('should keep at most one event per rendition', () => {
+        const buffer = new RenditionEventBuffer();
+        buffer.add(buildEvent('1', 0, 1));
+        buffer.add(buildEvent('1', 0, 1));
+        assert.strictEqual(buffer.get('1').length, 1);
+    });
+
+    it('should replace the event of a rendition received again', () => {
+        const buffer = new RenditionEventBuffer();
+        buffer.add({ ...buildEvent('1', 0, 2), type: 'rendition_failed' });
+        buffer.add(buildEvent('1', 0, 2));
+        buffer.add(buildEvent('1', 1, 2));
+        assert.deepStrictEqual(buffer.get('1').map(e => e.type), ['rendition_created', 'rendition_created']);
+    });
+
+    it('should drop requests after the retention time', () => {
+        const buffer = new RenditionEventBuffer(1000);
+        buffer.add(buildEvent('1', 0, 1));
+        clock.tick(500);
+        buffer.add(buildEvent('2', 0, 1));
+        clock.tick(500);
+
+        assert.deepStrictEqual(buffer.get('1'), []);
+        assert.strictEqual(buffer.get('2').length, 1);
+        clock.tick(500);
+        assert.strictEqual(buffer.size, 1);
+        buffer.prune();
+        assert.strictEqual(buffer.size, 0);
+    });
+
+    it('should drop the oldest requests above the maximum', () => {
+        const buffer = new RenditionEventBuffer(60000, 2);
+        buffer.add(buildEvent('1', 0, 2));
+        buffer.add(buildEvent('2', 0, 1));
+        buffer.add(buildEvent('3', 0, 1));
+        assert.strictEqual(buffer.size, 2);
+        assert.deepStrictEqual(buffer.get('1'), []);
+
+        // events of requests already kept do not drop others
+        buffer.add(buildEvent('2', 0, 1));
+        buffer.add(buildEvent('3', 0, 1));
+        assert.strictEqual(buffer.get('2').length, 1);
+        assert.strictEqual(buffer.get('3').length, 1);
+    });
+
+    it('should not keep events if disabled', () => {
+        const buffer = new RenditionEventBuffer(0);
+        buffer.add(buildEvent('1', 0, 1));
+        assert.strictEqual(buffer.size, 0);
+    });
+});
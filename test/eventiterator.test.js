@@ -0,0 +1,68 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const { RenditionEventIterator, DEFAULT_HIGH_WATER_MARK } = require('../lib/eventiterator');
+
+describe('eventiterator.js', function () {
+
+    it('should yield pushed events in order and end after the buffered events', async function () {
+        const iterator = new RenditionEventIterator();
+        iterator.push({ requestId: '1' });
+        iterator.push({ requestId: '2' });
+        iterator.end();
+
+        assert.deepStrictEqual(await iterator.next(), { value: { requestId: '1' }, done: false });
+        assert.deepStrictEqual(await iterator.next(), { value: { requestId: '2' }, done: false });
+        assert.deepStrictEqual(await iterator.next(), { value: undefined, done: true });
+    });
+
+    it('should drop the oldest unread events beyond the high water mark', async function () {
+        const dropped = [];
+        const iterator = new RenditionEventIterator(undefined, {
+            highWaterMark: 2,
+            onDrop: event => dropped.push(event.requestId)
+        });
+        iterator.push({ requestId: '1' });
+        iterator.push({ requestId: '2' });
+        iterator.push({ requestId: '3' });
+        iterator.push({ requestId: '4' });
+
+        assert.deepStrictEqual(dropped, ['1', '2']);
+        assert.strictEqual((await iterator.next()).value.requestId, '3');
+        assert.strictEqual((await iterator.next()).value.requestId, '4');
+    });
+
+    it('should not count events handed to a waiting reader', async function () {
+        const iterator = new RenditionEventIterator(undefined, { highWaterMark: 1 });
+        const next = iterator.next();
+        iterator.push({ requestId: '1' });
+        iterator.push({ requestId: '2' });
+
+        assert.strictEqual((await next).value.requestId, '1');
+        assert.strictEqual((await iterator.next()).value.requestId, '2');
+    });
+
+    it('should default to a high water mark', async function () {
+        const iterator = new RenditionEventIterator();
+        for (let i = 0; i <= DEFAULT_HIGH_WATER_MARK; i++) {
+            iterator.push({ requestId: String(i) });
+        }
+        assert.strictEqual(iterator.events.length, DEFAULT_HIGH_WATER_MARK);
+        assert.strictEqual((await iterator.next()).value.requestId, '1');
+    });
+});
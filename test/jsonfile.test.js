@@ -0,0 +1,62 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('../lib/jsonfile');
+
+describe('jsonfile.js tests', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsonfile-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(dir);
+    });
+
+    it('should return the default value for missing or invalid files', async () => {
+        const file = path.join(dir, 'data.json');
+        assert.deepStrictEqual(await readJsonFile(file, {}), {});
+
+        await fs.writeFile(file, '{ not json');
+        assert.deepStrictEqual(await readJsonFile(file, []), []);
+
+        await writeJsonFile(path.join(dir, 'sub', 'data.json'), { a: 1 });
+        assert.deepStrictEqual(await readJsonFile(path.join(dir, 'sub', 'data.json'), {}), { a: 1 });
+    });
+
+    it('should not collide when writing the same file concurrently', async () => {
+        const file = path.join(dir, 'data.json');
+        const values = new Array(10).fill(0).map((_, index) => ({ index }));
+        await Promise.all(values.map(value => writeJsonFile(file, value)));
+
+        const { index } = await readJsonFile(file, {});
+        assert.ok(index >= 0 && index < 10);
+        // no temporary files left behind
+        assert.deepStrictEqual(await fs.readdir(dir), ['data.json']);
+    });
+
+    it('should write the file with the mode', async () => {
+        const file = path.join(dir, 'secret.json');
+        await writeJsonFile(file, { token: 'secret' }, { mode: 0o600 });
+        assert.strictEqual((await fs.stat(file)).mode & 0o777, 0o600);
+    });
+});
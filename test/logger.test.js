@@ -0,0 +1,101 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const nock = require('nock');
+const { createLogger } = require('../lib/logger');
+const { AssetCompute } = require('../lib/assetcompute');
+
+function buildLogger() {
+    return {
+        debug: sinon.spy(),
+        info: sinon.spy(),
+        warn: sinon.spy(),
+        error: sinon.spy()
+    };
+}
+
+describe('logger.js tests', () => {
+    afterEach(() => {
+        sinon.restore();
+        nock.cleanAll();
+    });
+
+    it('should only log messages at or above the level', () => {
+        const logger = buildLogger();
+        const log = createLogger(logger, 'warn');
+        log.debug({ a: 1 }, 'debug');
+        log.info({ a: 1 }, 'info');
+        log.warn({ a: 1 }, 'warn');
+        log.error({ a: 1 }, 'error');
+        assert.ok(logger.debug.notCalled);
+        assert.ok(logger.info.notCalled);
+        assert.ok(logger.warn.calledOnceWith({ a: 1 }, 'warn'));
+        assert.ok(logger.error.calledOnceWith({ a: 1 }, 'error'));
+
+        const silent = createLogger(logger, 'silent');
+        silent.error({}, 'error');
+        assert.ok(logger.error.calledOnce);
+
+        // loggers without all levels
+        createLogger({ warn: logger.warn }, 'debug').info({}, 'info');
+
+        assert.throws(() => createLogger(logger, 'verbose'), /Invalid logLevel: verbose/);
+    });
+
+    it('should log the messages to the console by default', () => {
+        const warn = sinon.stub(console, 'warn');
+        const debug = sinon.stub(console, 'debug');
+        const log = createLogger();
+        log.warn({ attempt: 1 }, 'Waiting');
+        log.debug({}, 'Invoked /process');
+        assert.ok(warn.calledOnceWith('Waiting'));
+        assert.ok(debug.notCalled);
+    });
+
+    it('should log structured retries and requests', async () => {
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(503, 'Service unavailable', { 'x-request-id': 'request-1' });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, { ok: true, requestId: 'request-2' });
+        const logger = buildLogger();
+        const assetCompute = new AssetCompute({
+            accessToken: '123456',
+            org: 'org',
+            apiKey: 'apiKey',
+            retryPolicy: { minDelay: 10, maxDelay: 10 },
+            logger,
+            logLevel: 'debug'
+        });
+        await assetCompute.process({ url: 'https://example.com/dog.jpg' }, [{ fmt: 'png', url: 'https://example.com/rendition.png' }]);
+
+        assert.ok(logger.warn.calledOnce);
+        assert.deepStrictEqual(logger.warn.firstCall.args[0], {
+            endpoint: '/process',
+            attempt: 1,
+            delayMs: 10,
+            requestId: 'request-1',
+            status: 503,
+            error: 'Unable to invoke /process: 503 Service unavailable'
+        });
+        assert.strictEqual(logger.warn.firstCall.args[1], 'Waiting 10 milliseconds to attempt retry 1, failure: Unable to invoke /process: 503 Service unavailable');
+        assert.ok(logger.debug.calledOnceWith({ endpoint: '/process', status: 200, requestId: 'request-2', rateLimit: undefined }, 'Invoked /process'));
+    });
+});
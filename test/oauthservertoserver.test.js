@@ -21,6 +21,7 @@ const {
     isOAuthServerToServerIntegration,
     validateOAuthServerToServerIntegration,
 } = require('../lib/oauthservertoserver');
+const { MemoryTokenCache } = require('../lib/tokencache');
 
 describe('OAuth Server to Server Integration', () => {
     describe('isOAuthServerToServerIntegration', () => {
@@ -125,6 +126,29 @@ describe('OAuth Server to Server Integration', () => {
             }
         });
 
+        it('should log invalid client secrets with the logger', async () => {
+            const integration = {
+                CLIENT_ID: 'client_id',
+                CLIENT_SECRETS: ['invalid_secret', 'secret2'],
+                SCOPES: ['scope1']
+            };
+            fetchStub.onFirstCall().resolves({
+                ok: false,
+                status: 400,
+                statusText: 'Bad Request',
+                json: async () => ({ error: 'invalid_client', error_description: 'invalid client_secret parameter' })
+            });
+            fetchStub.onSecondCall().resolves({
+                ok: true,
+                json: async () => ({ access_token: 'access_token' })
+            });
+            const logger = { warn: sinon.spy() };
+
+            const token = await createOAuthServerToServerAccessToken(integration, undefined, { logger });
+            assert.strictEqual(token, 'access_token');
+            assert.ok(logger.warn.calledOnceWith({ clientId: 'client_id' }, 'Invalid client_secret, trying next one'));
+        });
+
         it('should throw error for unexpected response', async () => {
             const integration = {
                 CLIENT_ID: 'client_id',
@@ -144,5 +168,151 @@ describe('OAuth Server to Server Integration', () => {
                 assert.strictEqual(error.message, 'Unexpected response from IMS');
             }
         });
+
+        it('should reuse a cached access token', async () => {
+            const integration = {
+                CLIENT_ID: 'client_id',
+                CLIENT_SECRETS: ['secret1'],
+                SCOPES: ['scope2', 'scope1']
+            };
+            const tokenCache = new MemoryTokenCache();
+
+            fetchStub.resolves({
+                ok: true,
+                json: async () => ({ access_token: 'access_token', expires_in: 86399 })
+            });
+
+            const tokens = await Promise.all([
+                createOAuthServerToServerAccessToken(integration, undefined, { tokenCache }),
+                createOAuthServerToServerAccessToken(integration, undefined, { tokenCache })
+            ]);
+            // scope order does not matter
+            const token = await createOAuthServerToServerAccessToken({
+                ...integration,
+                SCOPES: ['scope1', 'scope2']
+            }, undefined, { tokenCache });
+
+            assert.deepStrictEqual(tokens, ['access_token', 'access_token']);
+            assert.strictEqual(token, 'access_token');
+            assert.strictEqual(fetchStub.callCount, 1);
+
+            const cached = await tokenCache.get('client_id:scope1,scope2');
+            assert.strictEqual(cached.accessToken, 'access_token');
+            assert.ok(Math.abs(cached.expiresAt - (Date.now() + 86399 * 1000)) < 1000);
+        });
+
+        it('should create a new access token if the cached one expires soon', async () => {
+            const integration = {
+                CLIENT_ID: 'client_id',
+                CLIENT_SECRETS: ['secret1'],
+                SCOPES: ['scope1']
+            };
+            const tokenCache = new MemoryTokenCache();
+            await tokenCache.set('client_id:scope1', {
+                accessToken: 'old_access_token',
+                expiresAt: Date.now() + 60 * 1000
+            });
+
+            fetchStub.resolves({
+                ok: true,
+                json: async () => ({ access_token: 'new_access_token', expires_in: 86399 })
+            });
+
+            const token = await createOAuthServerToServerAccessToken(integration, undefined, { tokenCache });
+            assert.strictEqual(token, 'new_access_token');
+            assert.strictEqual(fetchStub.callCount, 1);
+        });
+
+        it('should replace the cached access token with forceRefresh', async () => {
+            const integration = {
+                CLIENT_ID: 'client_id',
+                CLIENT_SECRETS: ['secret1'],
+                SCOPES: ['scope1']
+            };
+            const tokenCache = new MemoryTokenCache();
+            await tokenCache.set('client_id:scope1', {
+                accessToken: 'rejected_access_token',
+                expiresAt: Date.now() + 60 * 60 * 1000
+            });
+
+            fetchStub.resolves({
+                ok: true,
+                json: async () => ({ access_token: 'new_access_token', expires_in: 86399 })
+            });
+
+            const token = await createOAuthServerToServerAccessToken(integration, undefined, { tokenCache, forceRefresh: true });
+            assert.strictEqual(token, 'new_access_token');
+            assert.strictEqual(fetchStub.callCount, 1);
+            assert.strictEqual((await tokenCache.get('client_id:scope1')).accessToken, 'new_access_token');
+            // later callers get the new token from the cache
+            assert.strictEqual(await createOAuthServerToServerAccessToken(integration, undefined, { tokenCache }), 'new_access_token');
+            assert.strictEqual(fetchStub.callCount, 1);
+        });
+
+        it('should reuse an access token refreshed by another caller after a rejection', async () => {
+            const integration = {
+                CLIENT_ID: 'client_id',
+                CLIENT_SECRETS: ['secret1'],
+                SCOPES: ['scope1']
+            };
+            const tokenCache = new MemoryTokenCache();
+            await tokenCache.set('client_id:scope1', {
+                accessToken: 'rejected_access_token',
+                expiresAt: Date.now() + 60 * 60 * 1000
+            });
+
+            fetchStub.resolves({
+                ok: true,
+                json: async () => ({ access_token: 'new_access_token', expires_in: 86399 })
+            });
+
+            // callers rejected with the same token refresh it once
+            const options = { tokenCache, forceRefresh: true, rejectedAccessToken: 'rejected_access_token' };
+            const tokens = await Promise.all([
+                createOAuthServerToServerAccessToken(integration, undefined, options),
+                createOAuthServerToServerAccessToken(integration, undefined, options),
+                createOAuthServerToServerAccessToken(integration, undefined, options)
+            ]);
+            assert.deepStrictEqual(tokens, ['new_access_token', 'new_access_token', 'new_access_token']);
+            assert.strictEqual(fetchStub.callCount, 1);
+
+            // the refreshed token is rejected as well
+            fetchStub.resolves({
+                ok: true,
+                json: async () => ({ access_token: 'newer_access_token', expires_in: 86399 })
+            });
+            const token = await createOAuthServerToServerAccessToken(integration, undefined, {
+                tokenCache,
+                forceRefresh: true,
+                rejectedAccessToken: 'new_access_token'
+            });
+            assert.strictEqual(token, 'newer_access_token');
+            assert.strictEqual(fetchStub.callCount, 2);
+        });
+
+        it('should use a custom token cache without lock', async () => {
+            const integration = {
+                CLIENT_ID: 'client_id',
+                CLIENT_SECRETS: ['secret1'],
+                SCOPES: ['scope1']
+            };
+            const store = {};
+            const tokenCache = {
+                get: async key => store[key],
+                set: async (key, token) => {
+                    store[key] = token;
+                }
+            };
+
+            fetchStub.resolves({
+                ok: true,
+                json: async () => ({ access_token: 'access_token', expires_in: 86399 })
+            });
+
+            assert.strictEqual(await createOAuthServerToServerAccessToken(integration, undefined, { tokenCache }), 'access_token');
+            assert.strictEqual(await createOAuthServerToServerAccessToken(integration, undefined, { tokenCache }), 'access_token');
+            assert.strictEqual(fetchStub.callCount, 1);
+            assert.strictEqual(store['client_id:scope1'].accessToken, 'access_token');
+        });
     });
 });
\ No newline at end of file
@@ -0,0 +1,200 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+// not a global before Node.js 15
+const { AbortController } = require('abort-controller');
+const { RequestQueue } = require('../lib/queue');
+const { TooManyRequestsError } = require('../lib/error');
+
+// request that completes after `ms` and records the times it was started
+function buildRequest(starts, ms=100, result='ok') {
+    return () => {
+        starts.push(Date.now());
+        return new Promise(resolve => setTimeout(resolve, ms, result));
+    };
+}
+
+describe('queue.js tests', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({ now: 0 });
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('should limit the requests in flight', async () => {
+        const queue = new RequestQueue({ concurrency: 2 });
+        const starts = [];
+        const results = Promise.all([1, 2, 3, 4, 5].map(i => queue.add(buildRequest(starts, 100, i))));
+        assert.strictEqual(queue.pending, 2);
+        assert.strictEqual(queue.size, 3);
+
+        await clock.tickAsync(300);
+        assert.deepStrictEqual(await results, [1, 2, 3, 4, 5]);
+        assert.deepStrictEqual(starts, [0, 0, 100, 100, 200]);
+        assert.strictEqual(queue.size, 0);
+    });
+
+    it('should limit the request rate', async () => {
+        const queue = new RequestQueue({ ratePerSecond: 10 });
+        const starts = [];
+        const results = Promise.all([1, 2, 3].map(() => queue.add(buildRequest(starts, 1))));
+
+        await clock.tickAsync(300);
+        await results;
+        assert.deepStrictEqual(starts, [0, 100, 200]);
+    });
+
+    it('should slow down and retry after a 429', async () => {
+        const queue = new RequestQueue({ concurrency: 4 });
+        const starts = [];
+        let throttled = true;
+        const throttledRequest = () => {
+            starts.push(Date.now());
+            if (throttled) {
+                throttled = false;
+                return Promise.reject(new TooManyRequestsError('Too many requests', '2'));
+            }
+            return Promise.resolve('retried');
+        };
+        const first = queue.add(buildRequest([], 100));
+        const retried = queue.add(throttledRequest);
+        const others = [1, 2, 3].map(() => queue.add(buildRequest(starts, 100)));
+
+        // concurrency halved and nothing started until the retry-after time has passed
+        await clock.tickAsync(0);
+        assert.strictEqual(queue.limit, 2);
+        assert.strictEqual(queue.size, 2);
+        await clock.tickAsync(1999);
+        assert.strictEqual(queue.size, 2);
+
+        await clock.tickAsync(1);
+        assert.strictEqual(await retried, 'retried');
+        await clock.tickAsync(100);
+        await Promise.all([first, ...others]);
+        assert.deepStrictEqual(starts, [0, 0, 0, 2000, 2000]);
+        assert.strictEqual(queue.limit, 4);
+    });
+
+    it('should give up after max429RetryCount retries', async () => {
+        const retries = [];
+        const giveUps = [];
+        const queue = new RequestQueue({
+            max429RetryCount: 2,
+            onRetry: ({ attempt, delayMs }) => retries.push([attempt, delayMs]),
+            onGiveUp: ({ attempts }) => giveUps.push(attempts)
+        });
+        let attempts = 0;
+        const result = queue.add(() => {
+            attempts += 1;
+            return Promise.reject(new TooManyRequestsError('Too many requests'));
+        });
+        result.catch(() => {});
+
+        // backoff without retry-after
+        await clock.tickAsync(999);
+        assert.strictEqual(attempts, 1);
+        await clock.tickAsync(1);
+        assert.strictEqual(attempts, 2);
+        await clock.tickAsync(2000);
+        await assert.rejects(result, { name: 'TooManyRequestsError' });
+        assert.strictEqual(attempts, 3);
+        assert.deepStrictEqual(retries, [[1, 1000], [2, 2000]]);
+        assert.deepStrictEqual(giveUps, [3]);
+    });
+
+    it('should keep retrying and settle if the hooks throw', async () => {
+        const errors = [];
+        const queue = new RequestQueue({
+            max429RetryCount: 1,
+            onRetry: () => {
+                throw Error('retry hook failed');
+            },
+            onGiveUp: () => {
+                throw Error('give up hook failed');
+            },
+            logger: { error: (fields, message) => errors.push(message) }
+        });
+        let attempts = 0;
+        const result = queue.add(() => {
+            attempts += 1;
+            return Promise.reject(new TooManyRequestsError('Too many requests'));
+        });
+        result.catch(() => {});
+
+        await clock.tickAsync(1000);
+        await assert.rejects(result, { name: 'TooManyRequestsError' });
+        assert.strictEqual(attempts, 2);
+        assert.strictEqual(queue.pending, 0);
+        assert.deepStrictEqual(errors, [
+            'Retry hook failed: retry hook failed',
+            'Retry hook failed: give up hook failed'
+        ]);
+    });
+
+    it('should not retry other errors', async () => {
+        const queue = new RequestQueue();
+        await assert.rejects(queue.add(() => Promise.reject(Error('failed'))), /failed/);
+        assert.strictEqual(queue.pending, 0);
+    });
+
+    it('should pause, resume and wait until idle', async () => {
+        const queue = new RequestQueue({ concurrency: 1 });
+        const starts = [];
+        queue.pause();
+        queue.add(buildRequest(starts));
+        queue.add(buildRequest(starts));
+        let idle = false;
+        queue.onIdle().then(() => {
+            idle = true;
+        });
+
+        await clock.tickAsync(500);
+        assert.deepStrictEqual(starts, []);
+        assert.strictEqual(queue.size, 2);
+
+        queue.resume();
+        await clock.tickAsync(100);
+        assert.strictEqual(idle, false);
+        await clock.tickAsync(100);
+        assert.strictEqual(idle, true);
+        assert.deepStrictEqual(starts, [500, 600]);
+        await queue.onIdle();
+    });
+
+    it('should remove aborted requests from the queue', async () => {
+        const queue = new RequestQueue({ concurrency: 1 });
+        const starts = [];
+        const controller = new AbortController();
+        const first = queue.add(buildRequest(starts));
+        const aborted = queue.add(buildRequest(starts), { signal: controller.signal });
+
+        controller.abort();
+        await assert.rejects(aborted, { name: 'AbortError' });
+        assert.strictEqual(queue.size, 0);
+        await assert.rejects(queue.add(buildRequest(starts), { signal: controller.signal }), { name: 'AbortError' });
+
+        await clock.tickAsync(100);
+        await first;
+        assert.deepStrictEqual(starts, [0]);
+    });
+});
@@ -0,0 +1,148 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const { RenditionRetrier, getRenditionRetryPolicy } = require('../lib/renditionretry');
+
+function buildRequest() {
+    const userData = index => ({ assetComputeClient: { index, length: 2 } });
+    return {
+        source: 'https://example.com/dog.jpg',
+        renditions: [
+            { fmt: 'jpg', userData: userData(0) },
+            { fmt: 'png', userData: userData(1) }
+        ],
+        userData: { assetComputeClient: { id: 'client' } }
+    };
+}
+
+function buildEvent(type, requestId, rendition, errorReason) {
+    return { type, requestId, rendition, errorReason };
+}
+
+describe('renditionretry.js tests', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('should validate the policy', () => {
+        assert.deepStrictEqual(getRenditionRetryPolicy(true).errorReasons, { GenericError: 3 });
+        assert.deepStrictEqual(getRenditionRetryPolicy({ errorReasons: ['GenericError', 'RenditionTooLarge'], maxAttempts: 2 }).errorReasons, {
+            GenericError: 2,
+            RenditionTooLarge: 2
+        });
+        assert.deepStrictEqual(getRenditionRetryPolicy({ errorReasons: { GenericError: 5 } }).errorReasons, { GenericError: 5 });
+        assert.throws(() => getRenditionRetryPolicy({ errorReasons: { GenericError: 0 } }), /Invalid renditionRetry: errorReasons/);
+        assert.throws(() => getRenditionRetryPolicy({ maxAttempts: 0 }), /Invalid renditionRetry: maxAttempts/);
+        assert.throws(() => getRenditionRetryPolicy({ backoff: 'linear' }), /Invalid renditionRetry: backoff/);
+    });
+
+    it('should submit failed renditions again with a backoff', async () => {
+        const submit = sinon.stub().resolves({ requestId: 'retry' });
+        const onRetry = sinon.spy();
+        const retrier = new RenditionRetrier({ minDelay: 100, maxDelay: 1000 }, { submit, deliver: sinon.spy(), onRetry });
+        const request = buildRequest();
+        retrier.track('1234', request);
+
+        // not retried
+        const unsupported = retrier.handle(buildEvent('rendition_failed', '1234', request.renditions[1], 'SourceUnsupported'));
+        assert.strictEqual(unsupported.attempts.length, 1);
+
+        // retried twice, then the last failure is final
+        const failed = buildEvent('rendition_failed', '1234', request.renditions[0], 'GenericError');
+        assert.strictEqual(retrier.handle(failed), undefined);
+        assert.strictEqual(onRetry.firstCall.args[0].attempt, 2);
+        assert.strictEqual(onRetry.firstCall.args[0].delayMs, 100);
+        clock.tick(100);
+        assert.ok(submit.calledOnce);
+        const [source, [rendition], userData] = submit.firstCall.args;
+        assert.strictEqual(source, request.source);
+        assert.deepStrictEqual(rendition.userData.assetComputeClient, { index: 0, length: 2, retryOf: '1234', attempt: 2 });
+        assert.strictEqual(userData, request.userData);
+
+        assert.strictEqual(retrier.handle(buildEvent('rendition_failed', 'retry-1', rendition, 'GenericError')), undefined);
+        assert.strictEqual(onRetry.secondCall.args[0].delayMs, 200);
+        clock.tick(200);
+        const [, [lastRendition]] = submit.secondCall.args;
+        const final = retrier.handle(buildEvent('rendition_failed', 'retry-2', lastRendition, 'GenericError'));
+        assert.strictEqual(final.requestId, '1234');
+        assert.deepStrictEqual(final.attempts.map(attempt => attempt.requestId), ['1234', 'retry-1', 'retry-2']);
+        assert.strictEqual(retrier.requests.size, 0);
+    });
+
+    it('should deliver the failure if the retry cannot be submitted', async () => {
+        const error = new Error('Unable to invoke /process');
+        const deliver = sinon.spy();
+        const retrier = new RenditionRetrier({ minDelay: 10, maxDelay: 10 }, { submit: sinon.stub().rejects(error), deliver });
+        const request = buildRequest();
+        retrier.track('1234', request);
+
+        retrier.handle(buildEvent('rendition_failed', '1234', request.renditions[0], 'GenericError'));
+        await clock.tickAsync(10);
+        assert.ok(deliver.calledOnce);
+        assert.strictEqual(deliver.firstCall.args[0].retryError, error);
+        assert.strictEqual(deliver.firstCall.args[0].attempts.length, 1);
+    });
+
+    it('should hold events that arrive before their request is tracked', async () => {
+        const submit = sinon.stub().resolves({ requestId: 'retry' });
+        const deliver = sinon.spy();
+        const retrier = new RenditionRetrier({ minDelay: 10, maxDelay: 10 }, { submit, deliver });
+        const request = buildRequest();
+
+        const submitted = retrier.submitting();
+        const failing = retrier.submitting();
+        const failed = buildEvent('rendition_failed', '1234', request.renditions[0], 'GenericError');
+        const created = buildEvent('rendition_created', '1234', request.renditions[1]);
+        assert.strictEqual(retrier.handle(failed), undefined);
+        assert.strictEqual(retrier.handle(created, { type: 'rendition_failed' }), undefined);
+
+        // the failure is retried once the request is tracked
+        submitted('1234', request);
+        assert.strictEqual(deliver.callCount, 1);
+        assert.strictEqual(deliver.firstCall.args[0].attempts.length, 1);
+        assert.deepStrictEqual(deliver.firstCall.args[1], { type: 'rendition_failed' });
+        await clock.tickAsync(10);
+        assert.ok(submit.calledOnce);
+
+        // events of other requests are delivered unchanged once no request is submitted anymore
+        const other = buildEvent('rendition_created', '5678', request.renditions[0]);
+        assert.strictEqual(retrier.handle(other), undefined);
+        failing();
+        assert.strictEqual(deliver.secondCall.args[0], other);
+        assert.strictEqual(retrier.held.length, 0);
+        assert.strictEqual(retrier.handle(other), other);
+    });
+
+    it('should cancel pending retries on close', () => {
+        const submit = sinon.stub().resolves({ requestId: 'retry' });
+        const retrier = new RenditionRetrier(true, { submit, deliver: sinon.spy() });
+        const request = buildRequest();
+        retrier.track('1234', request);
+        retrier.handle(buildEvent('rendition_failed', '1234', request.renditions[0], 'GenericError'));
+        retrier.close();
+        clock.tick(60000);
+        assert.ok(submit.notCalled);
+    });
+});
@@ -0,0 +1,60 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const {
+    getClientUserData,
+    getRenditionIndex,
+    getRenditionCount,
+    getRenditionId,
+    getRenditionKey
+} = require('../lib/renditionuserdata');
+
+describe('renditionuserdata.js', function () {
+
+    const event = {
+        type: 'rendition_created',
+        requestId: '1234',
+        rendition: {
+            userData: {
+                assetComputeClient: { index: 0, length: 2, renditionId: 'thumbnail' }
+            }
+        }
+    };
+
+    it('should read the client data of the rendition', function () {
+        assert.deepStrictEqual(getClientUserData(event), { index: 0, length: 2, renditionId: 'thumbnail' });
+        assert.strictEqual(getRenditionIndex(event), 0);
+        assert.strictEqual(getRenditionCount(event), 2);
+        assert.strictEqual(getRenditionId(event), 'thumbnail');
+        assert.strictEqual(getRenditionKey(event), '1234/0');
+    });
+
+    it('should return undefined for events without client data', function () {
+        for (const other of [{ requestId: '1234' }, { requestId: '1234', rendition: {} }, { requestId: '1234', rendition: { userData: {} } }]) {
+            assert.deepStrictEqual(getClientUserData(other), {});
+            assert.strictEqual(getRenditionIndex(other), undefined);
+            assert.strictEqual(getRenditionCount(other), undefined);
+            assert.strictEqual(getRenditionId(other), undefined);
+            assert.strictEqual(getRenditionKey(other), undefined);
+        }
+    });
+
+    it('should not build a key without request id', function () {
+        assert.strictEqual(getRenditionKey({ rendition: event.rendition }), undefined);
+    });
+});
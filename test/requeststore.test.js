@@ -0,0 +1,289 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const mockRequire = require('mock-require');
+const nock = require('nock');
+const { EventEmitter } = require('events');
+const { MemoryRequestStore, FileRequestStore } = require('../lib/requeststore');
+
+const DEFAULT_INTEGRATION = {
+    applicationId: 72515,
+    consumerId: 105979,
+    metascopes: ['mocked-metascope-1'],
+    technicalAccount: {
+        id: 'id',
+        org: 'org',
+        clientId: 'clientId',
+        clientSecret: 'clientSecret',
+        privateKey: 'privateKey'
+    },
+    imsEndpoint: 'https://mocked-ims-endpoint.com'
+};
+
+function buildRequest(requestId, length) {
+    return {
+        requestId,
+        clientId: 'client-1',
+        source: 'https://example.com/dog.jpg',
+        renditions: new Array(length).fill({ fmt: 'png', url: 'https://example.com/rendition.png' }),
+        submittedAt: 1000
+    };
+}
+
+describe('requeststore.js tests', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'requeststore-'));
+    });
+
+    afterEach(async () => {
+        mockRequire.stopAll();
+        nock.cleanAll();
+        await fs.remove(dir);
+    });
+
+    it('should track pending renditions in memory', async () => {
+        const store = new MemoryRequestStore();
+        await store.add(buildRequest('1', 2));
+        await store.add(buildRequest('2', 1));
+
+        await store.complete('1', 1, { type: 'rendition_created' });
+        await store.complete('2', 0, { type: 'rendition_failed' });
+        await store.complete('unknown', 0, { type: 'rendition_failed' });
+
+        const pending = await store.listPending();
+        assert.strictEqual(pending.length, 1);
+        assert.strictEqual(pending[0].requestId, '1');
+        assert.deepStrictEqual(pending[0].events, [null, { type: 'rendition_created' }]);
+    });
+
+    it('should keep pending requests in a file', async () => {
+        const file = path.join(dir, 'sub', 'requests.json');
+        const store = new FileRequestStore(file);
+        await store.add(buildRequest('1', 2));
+        await store.add(buildRequest('2', 1));
+        await store.complete('1', 0, { type: 'rendition_created' });
+        await store.complete('2', 0, { type: 'rendition_created' });
+
+        const pending = await new FileRequestStore(file).listPending();
+        assert.strictEqual(pending.length, 1);
+        assert.strictEqual(pending[0].requestId, '1');
+        assert.strictEqual(pending[0].clientId, 'client-1');
+        assert.strictEqual(pending[0].submittedAt, 1000);
+        assert.deepStrictEqual(pending[0].events, [{ type: 'rendition_created' }, null]);
+
+        assert.throws(() => new FileRequestStore(), /requires a file path/);
+    });
+
+    it('should batch the writes of a file', async () => {
+        const file = path.join(dir, 'requests.json');
+        const store = new FileRequestStore(file);
+        let writes = 0;
+        const write = store.write;
+        store.write = function () {
+            writes += 1;
+            return write.call(this);
+        };
+        await store.add(buildRequest('1', 10));
+        assert.strictEqual(writes, 1);
+
+        const events = new Array(9).fill(0).map((_, index) => ({ type: 'rendition_created', index }));
+        await Promise.all(events.map((event, index) => store.complete('1', index, event)));
+        // the first write and one for the events completed while it ran
+        assert.strictEqual(writes, 3);
+
+        const pending = await new FileRequestStore(file).listPending();
+        assert.deepStrictEqual(pending[0].events, [...events, null]);
+    });
+
+    it('should resume waiting for requests submitted before a restart', async () => {
+        let ioEventEmitterMock;
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                createAccessToken() {
+                    return '123456';
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor() {
+                    super();
+                    ioEventEmitterMock = this;
+                }
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .twice()
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, {
+                'ok': true,
+                'requestId': '3214'
+            });
+
+        const file = path.join(dir, 'requests.json');
+        const renditions = [{
+            fmt: 'jpg',
+            url: 'https://example.com/rendition.jpg'
+        }, {
+            fmt: 'png',
+            url: 'https://example.com/rendition.png'
+        }];
+        function emitEvent(clientId, index) {
+            const userData = { assetComputeClient: { id: clientId, index, length: 2 } };
+            ioEventEmitterMock.emit("event", { event: {
+                type: 'rendition_created',
+                requestId: '3214',
+                userData,
+                rendition: { ...renditions[index], userData }
+            }});
+        }
+
+        // first process submits the request and receives one event
+        let client = new AssetComputeClient(DEFAULT_INTEGRATION, { requestStore: file });
+        await client.register();
+        await client.process('https://example.com/dog.jpg', renditions, { custom: 'data' });
+        const clientId = client.id;
+        emitEvent(clientId, 0);
+        await client.close();
+
+        let pending = await client.listPending();
+        assert.strictEqual(pending.length, 1);
+        assert.strictEqual(pending[0].requestId, '3214');
+        assert.strictEqual(pending[0].clientId, clientId);
+        assert.deepStrictEqual(pending[0].renditions, renditions);
+        assert.deepStrictEqual(pending[0].userData, { custom: 'data' });
+        assert.ok(pending[0].submittedAt <= Date.now());
+
+        // restarted process
+        client = new AssetComputeClient(DEFAULT_INTEGRATION, { requestStore: file });
+        await assert.rejects(client.resume(), /Must call register/);
+        await client.register();
+        const resumed = await client.resume();
+        assert.strictEqual(resumed.length, 1);
+        assert.strictEqual(client.pendingRenditions, 1);
+
+        const waitPromise = client.waitActivation('3214', 1000);
+        emitEvent(clientId, 1);
+        const events = await waitPromise;
+        assert.strictEqual(events.length, 2);
+        assert.strictEqual(events[0].rendition.fmt, 'jpg');
+        assert.strictEqual(events[1].rendition.fmt, 'png');
+        await client.wait(100);
+
+        pending = await client.listPending();
+        assert.strictEqual(pending.length, 0);
+        await client.close();
+    });
+
+    it('should store rendition events received before the request was recorded', async () => {
+        let ioEventEmitterMock;
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                createAccessToken() {
+                    return '123456';
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock extends EventEmitter {
+                constructor() {
+                    super();
+                    ioEventEmitterMock = this;
+                }
+                stop() {}
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+
+        const renditions = [{ fmt: 'jpg', url: 'https://example.com/rendition.jpg' }];
+        function emitEvent(clientId, requestId) {
+            const userData = { assetComputeClient: { id: clientId, index: 0, length: 1 } };
+            ioEventEmitterMock.emit("event", { event: {
+                type: 'rendition_created',
+                requestId,
+                userData,
+                rendition: { ...renditions[0], userData }
+            }});
+        }
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, { 'ok': true, 'requestId': '3214' });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, { 'ok': true, 'requestId': '3215' });
+
+        // a store that takes its time to record a request, and fails to record the second one
+        const store = new MemoryRequestStore();
+        const add = store.add;
+        store.add = async function (request) {
+            // the event comes in while the request is recorded
+            emitEvent(request.clientId, request.requestId);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            if (request.requestId === '3215') {
+                throw Error('disk full');
+            }
+            return add.call(this, request);
+        };
+
+        const client = new AssetComputeClient(DEFAULT_INTEGRATION, { requestStore: store });
+        const errors = [];
+        client.on('error', error => errors.push(error.message));
+        await client.register();
+        await client.process('https://example.com/dog.jpg', renditions);
+        assert.deepStrictEqual(await client.listPending(), []);
+
+        // submitted, so the response is returned even though the request is not recorded
+        const response = await client.process('https://example.com/dog.jpg', renditions);
+        assert.strictEqual(response.requestId, '3215');
+        assert.deepStrictEqual(errors, ['disk full']);
+        await client.close();
+
+        assert.deepStrictEqual(await client.listPending(), []);
+        assert.strictEqual(client.pendingRenditions, 0);
+        // nothing kept once recorded
+        assert.strictEqual(client._recordings.size, 0);
+        assert.strictEqual(client._submissions.size, 0);
+    });
+
+    it('should require a request store to list pending requests', async () => {
+        const { AssetComputeClient } = require('../lib/client');
+        const client = new AssetComputeClient(DEFAULT_INTEGRATION);
+        await assert.rejects(client.listPending(), /requires the requestStore option/);
+        assert.throws(() => new AssetComputeClient(DEFAULT_INTEGRATION, { requestStore: {} }), /requestStore must be/);
+    });
+});
@@ -19,6 +19,7 @@ const mockRequire = require('mock-require');
 const assert = require('assert');
 const nock = require('nock');
 const rewire = require('rewire');
+const sinon = require('sinon');
 
 const DEFAULT_INTEGRATION = {
     applicationId: 72515,
@@ -256,7 +257,8 @@ describe('retry on 429 tests', () => {
             [
                 {
                     name: 'rendition.jpg',
-                    fmt: 'jpg'
+                    fmt: 'jpg',
+                    url: 'https://example.com/rendition.jpg'
                 }
             ]);
             assert.fail('Should have failed');
@@ -306,11 +308,105 @@ describe('retry on 429 tests', () => {
         [
             {
                 name: 'rendition.jpg',
-                fmt: 'jpg'
+                fmt: 'jpg',
+                url: 'https://example.com/rendition.jpg'
             }
         ]);
         assert.strictEqual(response.requestId, '3214');
         assert.ok(assetComputeClient.eventEmitter);
         assert.ok(nock.isDone());
     }).timeout(5000);
+    it('should hold other calls until the retry-after of a 429 has passed', async function () {
+        const { AssetCompute } = require('../lib/assetcompute');
+        const { BackpressureGate } = require('../lib/backpressure');
+        const backpressure = new BackpressureGate();
+        const options = {
+            accessToken: '123456',
+            org: 'org',
+            apiKey: 'apiKey',
+            disable429Retry: true,
+            backpressure
+        };
+        const requests = [];
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(429, 'Too many requests', { 'retry-after': '1' });
+        nock('https://asset-compute.adobe.io')
+            .post('/unregister')
+            .reply(() => {
+                requests.push(Date.now());
+                return [200, { ok: true }];
+            });
+        const throttled = new Promise(resolve => backpressure.once('throttled', resolve));
+        const unthrottled = new Promise(resolve => backpressure.once('unthrottled', resolve));
+
+        const start = Date.now();
+        await assert.rejects(new AssetCompute(options).register(), { name: 'TooManyRequestsError' });
+        assert.strictEqual((await throttled).retryAfter, 1000);
+
+        // another instance sharing the gate waits too
+        await new AssetCompute(options).unregister();
+        await unthrottled;
+        assert.ok(requests[0] - start >= 1000, `request sent after ${requests[0] - start} ms`);
+        assert.ok(nock.isDone());
+    }).timeout(5000);
+    it('should call the retry hooks instead of logging', async function () {
+        const { AssetCompute } = require('../lib/assetcompute');
+        const warn = sinon.stub(console, 'warn');
+        const retries = [];
+        const giveUps = [];
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .times(2)
+            .reply(503, 'Service unavailable');
+        const assetCompute = new AssetCompute({
+            accessToken: '123456',
+            org: 'org',
+            apiKey: 'apiKey',
+            retryPolicy: { minDelay: 10, maxDelay: 10, maxAttempts: 2 },
+            onRetry: info => retries.push(info),
+            onGiveUp: info => giveUps.push(info)
+        });
+        try {
+            await assert.rejects(assetCompute.process({ url: 'https://example.com/dog.jpg' }, [{ fmt: 'png', url: 'https://example.com/rendition.png' }]),
+                { name: 'ServiceUnavailableError' });
+        } finally {
+            warn.restore();
+        }
+        assert.strictEqual(retries.length, 1);
+        assert.strictEqual(retries[0].attempt, 1);
+        assert.strictEqual(retries[0].delayMs, 10);
+        assert.strictEqual(retries[0].endpoint, '/process');
+        assert.strictEqual(retries[0].error.status, 503);
+        assert.strictEqual(giveUps.length, 1);
+        assert.strictEqual(giveUps[0].attempts, 2);
+        assert.strictEqual(giveUps[0].endpoint, '/process');
+        assert.ok(warn.notCalled);
+        assert.ok(nock.isDone());
+    });
+    it('should emit retry and give_up events on the client', async function () {
+        const { AssetComputeClient } = require('../lib/client');
+        const warn = sinon.stub(console, 'warn');
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .times(4)
+            .reply(429, 'Too many requests', { 'retry-after': '0' });
+        const assetComputeClient = new AssetComputeClient(DEFAULT_INTEGRATION, {
+            retryPolicy: { maxAttempts: 2 }
+        });
+        const events = [];
+        try {
+            // logged without listener
+            await assert.rejects(assetComputeClient.register(), { name: 'TooManyRequestsError' });
+            assert.ok(warn.calledOnce);
+
+            assetComputeClient.on('retry', info => events.push(['retry', info.attempt, info.endpoint]));
+            assetComputeClient.on('give_up', info => events.push(['give_up', info.attempts, info.endpoint]));
+            await assert.rejects(assetComputeClient.register(), { name: 'TooManyRequestsError' });
+            assert.ok(warn.calledOnce);
+        } finally {
+            warn.restore();
+        }
+        assert.deepStrictEqual(events, [['retry', 1, '/register'], ['give_up', 2, '/register']]);
+    }).timeout(5000);
 });
\ No newline at end of file
@@ -0,0 +1,136 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const nock = require('nock');
+const { getRetryPolicy, isRetryable, getBackoffDelay, getFetchRetryOptions } = require('../lib/retrypolicy');
+const { AssetCompute } = require('../lib/assetcompute');
+const { ServiceUnavailableError, TooManyRequestsError, ValidationError } = require('../lib/error');
+
+const ASSET_COMPUTE_OPTIONS = {
+    accessToken: '123456',
+    org: 'org',
+    apiKey: 'apiKey'
+};
+
+describe('retrypolicy.js tests', () => {
+    afterEach(() => {
+        sinon.restore();
+        nock.cleanAll();
+    });
+
+    it('should only retry 429s without a retry policy', () => {
+        const policy = getRetryPolicy();
+        assert.deepStrictEqual(policy.statuses, [429]);
+        assert.strictEqual(policy.maxAttempts, 5);
+        assert.strictEqual(getRetryPolicy({ max429RetryCount: 10 }).maxAttempts, 11);
+        assert.deepStrictEqual(getRetryPolicy({ disable429Retry: true }).statuses, []);
+        assert.strictEqual(getFetchRetryOptions({ retryOptions: { retryMaxDuration: 1000 } }).retryMaxDuration, 1000);
+    });
+
+    it('should fill in the defaults of a retry policy', () => {
+        const policy = getRetryPolicy({ retryPolicy: { maxAttempts: 3 }, max429RetryCount: 10 });
+        assert.deepStrictEqual(policy.statuses, [429, 500, 502, 503, 504]);
+        assert.strictEqual(policy.backoff, 'exponential');
+        assert.strictEqual(policy.maxAttempts, 3);
+        assert.deepStrictEqual(getRetryPolicy({ retryPolicy: {}, disable429Retry: true }).statuses, [500, 502, 503, 504]);
+
+        // node-fetch-retry keeps the socket timeout but does not retry
+        const fetchRetryOptions = getFetchRetryOptions({ retryPolicy: {}, retryOptions: { socketTimeout: 1000 } });
+        assert.strictEqual(fetchRetryOptions.socketTimeout, 1000);
+        assert.strictEqual(fetchRetryOptions.retryOnHttpResponse({ status: 503 }), false);
+        assert.strictEqual(fetchRetryOptions.retryOnHttpError(Error()), false);
+    });
+
+    it('should reject invalid retry policies', () => {
+        assert.throws(() => getRetryPolicy({ retryPolicy: { backoff: 'linear' } }), /backoff must be one of/);
+        assert.throws(() => getRetryPolicy({ retryPolicy: { statuses: 503 } }), /must be arrays/);
+        assert.throws(() => getRetryPolicy({ retryPolicy: { minDelay: 2000, maxDelay: 1000 } }), /minDelay <= maxDelay/);
+        assert.throws(() => getRetryPolicy({ retryPolicy: { maxAttempts: 0 } }), /maxAttempts/);
+        assert.throws(() => getRetryPolicy({ retryPolicy: { deadline: -1 } }), /deadline/);
+        assert.throws(() => new AssetCompute({ ...ASSET_COMPUTE_OPTIONS, retryPolicy: { backoff: 'linear' } }), /Invalid retryPolicy/);
+    });
+
+    it('should retry the configured statuses and error codes', () => {
+        const policy = getRetryPolicy({ retryPolicy: {} });
+        assert.ok(isRetryable(policy, new TooManyRequestsError('429')));
+        assert.ok(isRetryable(policy, new ServiceUnavailableError('503', { status: 503 })));
+        assert.ok(!isRetryable(policy, new ValidationError('400', { status: 400 })));
+        assert.ok(isRetryable(policy, Object.assign(Error('reset'), { code: 'ECONNRESET' })));
+        assert.ok(isRetryable(policy, Object.assign(Error('timeout'), { type: 'request-timeout' })));
+        assert.ok(!isRetryable(policy, Object.assign(Error('not found'), { code: 'ENOTFOUND' })));
+        assert.ok(!isRetryable(policy, Error('unknown')));
+    });
+
+    it('should compute the backoff delays', () => {
+        sinon.stub(Math, 'random').returns(0.5);
+        const policy = { minDelay: 100, maxDelay: 1000 };
+        assert.strictEqual(getBackoffDelay({ ...policy, backoff: 'fixed' }, 1), 550);
+        assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempt => getBackoffDelay({ ...policy, backoff: 'exponential' }, attempt)),
+            [100, 200, 400, 800, 1000]);
+        assert.strictEqual(getBackoffDelay({ ...policy, backoff: 'decorrelated' }, 1), 200);
+        assert.strictEqual(getBackoffDelay({ ...policy, backoff: 'decorrelated' }, 2, 400), 650);
+        assert.strictEqual(getBackoffDelay({ ...policy, backoff: 'decorrelated' }, 3, 800), 1000);
+    });
+
+    it('should retry 5xx and network errors of /register with the retry policy', async () => {
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(503, 'Service unavailable');
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .replyWithError({ code: 'ECONNRESET', message: 'socket hang up' });
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, { ok: true, journal: 'https://api.adobe.io/events/organizations/journal/12345' });
+
+        const assetCompute = new AssetCompute({
+            ...ASSET_COMPUTE_OPTIONS,
+            retryPolicy: { minDelay: 10, maxDelay: 20 }
+        });
+        const response = await assetCompute.register();
+        assert.strictEqual(response.ok, true);
+        assert.ok(nock.isDone());
+    });
+
+    it('should give up after maxAttempts or the deadline', async () => {
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .times(2)
+            .reply(503, 'Service unavailable');
+        const assetCompute = new AssetCompute({
+            ...ASSET_COMPUTE_OPTIONS,
+            retryPolicy: { minDelay: 10, maxDelay: 20, maxAttempts: 2 }
+        });
+        await assert.rejects(assetCompute.register(), { name: 'ServiceUnavailableError' });
+        assert.ok(nock.isDone());
+
+        // the next attempt would start after the deadline
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(503, 'Service unavailable');
+        const start = Date.now();
+        const withDeadline = new AssetCompute({
+            ...ASSET_COMPUTE_OPTIONS,
+            retryPolicy: { minDelay: 5000, maxDelay: 5000, deadline: 1000 }
+        });
+        await assert.rejects(withDeadline.register(), { name: 'ServiceUnavailableError' });
+        assert.ok(Date.now() - start < 1000);
+        assert.ok(nock.isDone());
+    });
+});
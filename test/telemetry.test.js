@@ -0,0 +1,191 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const mockRequire = require('mock-require');
+const nock = require('nock');
+
+// minimal `@opentelemetry/api` recording the spans and metrics
+function buildOpenTelemetryApi() {
+    const spans = [];
+    const recorded = {};
+    const tracer = {
+        startSpan(name, options, context) {
+            const span = {
+                name,
+                kind: options.kind,
+                attributes: { ...options.attributes },
+                startTime: options.startTime,
+                links: options.links,
+                parent: context && context.span,
+                spanContext: () => ({ spanId: name }),
+                setAttribute: (key, value) => { span.attributes[key] = value; },
+                setStatus: status => { span.status = status; },
+                recordException: error => { span.exception = error; },
+                end: () => { span.ended = true; }
+            };
+            spans.push(span);
+            return span;
+        }
+    };
+    const instrument = name => {
+        recorded[name] = [];
+        return {
+            add: (value, attributes) => recorded[name].push({ value, attributes }),
+            record: (value, attributes) => recorded[name].push({ value, attributes })
+        };
+    };
+    return {
+        spans,
+        recorded,
+        SpanKind: { CLIENT: 2, CONSUMER: 4 },
+        SpanStatusCode: { OK: 1, ERROR: 2 },
+        trace: {
+            getTracer: () => tracer,
+            setSpan: (context, span) => ({ span })
+        },
+        context: {
+            active: () => ({}),
+            with: (context, fn) => fn()
+        },
+        metrics: {
+            getMeter: () => ({
+                createCounter: instrument,
+                createHistogram: instrument
+            })
+        }
+    };
+}
+
+describe('telemetry.js tests', () => {
+    afterEach(() => {
+        mockRequire.stopAll();
+        nock.cleanAll();
+    });
+
+    it('should do nothing if @opentelemetry/api is not installed', async () => {
+        const { createTelemetry } = mockRequire.reRequire('../lib/telemetry');
+        const telemetry = createTelemetry();
+        assert.strictEqual(await telemetry.traceCall('/process', async () => 'result'), 'result');
+        assert.strictEqual(await telemetry.traceAttempt(undefined, '/process', 1, async () => 'attempt'), 'attempt');
+        telemetry.recordRenditionEvent({ type: 'rendition_created', requestId: '1234' });
+    });
+
+    it('should do nothing if disabled', async () => {
+        const api = buildOpenTelemetryApi();
+        mockRequire('@opentelemetry/api', api);
+        const { createTelemetry } = mockRequire.reRequire('../lib/telemetry');
+        const telemetry = createTelemetry(false);
+        await telemetry.traceCall('/process', async () => ({ requestId: '1234' }));
+        assert.strictEqual(api.spans.length, 0);
+    });
+
+    it('should trace a call and each of its attempts', async () => {
+        const api = buildOpenTelemetryApi();
+        mockRequire('@opentelemetry/api', api);
+        mockRequire.reRequire('../lib/telemetry');
+        mockRequire.reRequire('../lib/retry');
+        const { AssetCompute } = mockRequire.reRequire('../lib/assetcompute');
+
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(429, 'Too many requests');
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, { ok: true, requestId: '1234' });
+
+        const assetCompute = new AssetCompute({
+            accessToken: 'accessToken',
+            org: 'org',
+            apiKey: 'apiKey',
+            retryPolicy: { minDelay: 10, maxDelay: 10 },
+            onRetry: () => {}
+        });
+        const response = await assetCompute.process({ url: 'https://example.com/dog.jpg' }, [
+            { fmt: 'png', url: 'https://example.com/rendition.png' }
+        ]);
+        assert.strictEqual(response.requestId, '1234');
+
+        const [ call, attempt1, attempt2 ] = api.spans;
+        assert.strictEqual(call.name, 'Asset Compute /process');
+        assert.strictEqual(call.attributes['asset_compute.request_id'], '1234');
+        assert.strictEqual(call.attributes['asset_compute.rendition_count'], 1);
+        assert.strictEqual(call.status.code, api.SpanStatusCode.OK);
+        assert.ok(call.ended);
+
+        assert.strictEqual(attempt1.parent, call);
+        assert.strictEqual(attempt1.attributes['asset_compute.attempt'], 1);
+        assert.strictEqual(attempt1.attributes['http.response.status_code'], 429);
+        assert.strictEqual(attempt1.status.code, api.SpanStatusCode.ERROR);
+        assert.strictEqual(attempt2.parent, call);
+        assert.strictEqual(attempt2.attributes['asset_compute.attempt'], 2);
+        assert.strictEqual(attempt2.status.code, api.SpanStatusCode.OK);
+
+        assert.deepStrictEqual(api.recorded['asset_compute.client.throttled'], [
+            { value: 1, attributes: { 'asset_compute.endpoint': '/process' } }
+        ]);
+        assert.deepStrictEqual(api.recorded['asset_compute.client.call.duration'].map(m => m.attributes['asset_compute.outcome']), [
+            'error', 'success'
+        ]);
+    });
+
+    it('should link rendition events to the /process span', async () => {
+        const api = buildOpenTelemetryApi();
+        mockRequire('@opentelemetry/api', api);
+        const { createTelemetry } = mockRequire.reRequire('../lib/telemetry');
+        const telemetry = createTelemetry();
+
+        await telemetry.traceCall('/process', async () => ({ requestId: '1234' }), {
+            'asset_compute.rendition_count': 2
+        });
+        const [ call ] = api.spans;
+
+        telemetry.recordRenditionEvent({ type: 'rendition_created', requestId: '1234', rendition: { fmt: 'png' } });
+        telemetry.recordRenditionEvent({
+            type: 'rendition_failed',
+            requestId: '1234',
+            rendition: { fmt: 'jpg' },
+            errorReason: 'RenditionFormatUnsupported',
+            errorMessage: 'Unsupported format'
+        });
+        // not submitted by this process
+        telemetry.recordRenditionEvent({ type: 'rendition_created', requestId: '5678' });
+
+        const [ , created, failed ] = api.spans;
+        assert.strictEqual(api.spans.length, 3);
+        assert.strictEqual(created.name, 'Asset Compute rendition_created');
+        assert.strictEqual(created.kind, api.SpanKind.CONSUMER);
+        assert.deepStrictEqual(created.links, [{ context: call.spanContext() }]);
+        assert.ok(created.startTime <= Date.now());
+        assert.strictEqual(created.status, undefined);
+        assert.strictEqual(failed.status.code, api.SpanStatusCode.ERROR);
+        assert.strictEqual(failed.status.message, 'Unsupported format');
+
+        assert.strictEqual(api.recorded['asset_compute.client.renditions'].length, 3);
+        assert.deepStrictEqual(api.recorded['asset_compute.client.rendition.failures'], [{
+            value: 1,
+            attributes: {
+                'asset_compute.event_type': 'rendition_failed',
+                'asset_compute.rendition.fmt': 'jpg',
+                'asset_compute.error_reason': 'RenditionFormatUnsupported'
+            }
+        }]);
+        assert.strictEqual(api.recorded['asset_compute.client.rendition.latency'].length, 2);
+        // forgotten once all renditions completed
+        assert.strictEqual(telemetry.requests.size, 0);
+    });
+});
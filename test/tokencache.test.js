@@ -0,0 +1,147 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { MemoryTokenCache, FileTokenCache, getTokenCacheKey, isValidToken } = require('../lib/tokencache');
+
+describe('tokencache.js tests', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tokencache-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(dir);
+    });
+
+    it('should build the key from client id and sorted scopes', () => {
+        assert.strictEqual(getTokenCacheKey('client', ['b', 'a']), 'client:a,b');
+        assert.strictEqual(getTokenCacheKey('client', ['a', 'b']), 'client:a,b');
+    });
+
+    it('should not use tokens that expire soon', () => {
+        assert.ok(isValidToken({ accessToken: 'token', expiresAt: Date.now() + 60 * 60 * 1000 }));
+        assert.ok(!isValidToken({ accessToken: 'token', expiresAt: Date.now() + 60 * 1000 }));
+        assert.ok(!isValidToken({ expiresAt: Date.now() + 60 * 60 * 1000 }));
+        assert.ok(!isValidToken(undefined));
+    });
+
+    it('should store tokens in memory', async () => {
+        const tokenCache = new MemoryTokenCache();
+        assert.strictEqual(await tokenCache.get('key'), undefined);
+        await tokenCache.set('key', { accessToken: 'token', expiresAt: 1 });
+        assert.deepStrictEqual(await tokenCache.get('key'), { accessToken: 'token', expiresAt: 1 });
+    });
+
+    it('should run memory locks for the same key one after the other', async () => {
+        const tokenCache = new MemoryTokenCache();
+        const order = [];
+        const task = (name, ms) => async () => {
+            order.push(`start ${name}`);
+            await new Promise(resolve => setTimeout(resolve, ms));
+            order.push(`end ${name}`);
+            return name;
+        };
+        const results = await Promise.all([
+            tokenCache.lock('key', task('a', 20)),
+            tokenCache.lock('key', task('b', 0))
+        ]);
+        assert.deepStrictEqual(results, ['a', 'b']);
+        assert.deepStrictEqual(order, ['start a', 'end a', 'start b', 'end b']);
+        assert.strictEqual(tokenCache.locks.size, 0);
+    });
+
+    it('should release a memory lock if the function fails', async () => {
+        const tokenCache = new MemoryTokenCache();
+        await assert.rejects(tokenCache.lock('key', async () => {
+            throw Error('failed');
+        }), /failed/);
+        assert.strictEqual(await tokenCache.lock('key', async () => 'ok'), 'ok');
+    });
+
+    it('should share tokens in a file between instances', async () => {
+        const file = path.join(dir, 'sub', 'tokens.json');
+        const expiresAt = Date.now() + 60 * 60 * 1000;
+        await new FileTokenCache(file).set('key', { accessToken: 'token', expiresAt });
+
+        const tokenCache = new FileTokenCache(file);
+        assert.deepStrictEqual(await tokenCache.get('key'), { accessToken: 'token', expiresAt });
+        assert.strictEqual(await tokenCache.get('other'), undefined);
+        assert.strictEqual((await fs.stat(file)).mode & 0o777, 0o600);
+    });
+
+    it('should drop expired tokens from the file', async () => {
+        const file = path.join(dir, 'tokens.json');
+        const tokenCache = new FileTokenCache(file);
+        await tokenCache.set('expired', { accessToken: 'old', expiresAt: Date.now() - 1 });
+        await tokenCache.set('key', { accessToken: 'token', expiresAt: Date.now() + 1000 });
+        assert.deepStrictEqual(Object.keys(await fs.readJson(file)), ['key']);
+    });
+
+    it('should treat a missing or corrupt file as empty', async () => {
+        const file = path.join(dir, 'tokens.json');
+        const tokenCache = new FileTokenCache(file);
+        assert.strictEqual(await tokenCache.get('key'), undefined);
+        await fs.writeFile(file, '{ not json');
+        assert.strictEqual(await tokenCache.get('key'), undefined);
+    });
+
+    it('should serialize file locks between instances', async () => {
+        const file = path.join(dir, 'tokens.json');
+        const order = [];
+        const task = (name, ms) => async () => {
+            order.push(`start ${name}`);
+            await new Promise(resolve => setTimeout(resolve, ms));
+            order.push(`end ${name}`);
+        };
+        await Promise.all([
+            new FileTokenCache(file).lock('key', task('a', 100)),
+            new Promise(resolve => setTimeout(resolve, 10)).then(() => new FileTokenCache(file).lock('key', task('b', 0)))
+        ]);
+        assert.deepStrictEqual(order, ['start a', 'end a', 'start b', 'end b']);
+        assert.ok(!await fs.pathExists(`${file}.lock`));
+    });
+
+    it('should remove a stale lock file', async () => {
+        const file = path.join(dir, 'tokens.json');
+        await fs.writeFile(`${file}.lock`, '');
+        const old = new Date(Date.now() - 2 * 60 * 1000);
+        await fs.utimes(`${file}.lock`, old, old);
+
+        const result = await new FileTokenCache(file).lock('key', async () => 'locked');
+        assert.strictEqual(result, 'locked');
+    });
+
+    it('should take over a lock left behind before waiting times out', async () => {
+        const file = path.join(dir, 'tokens.json');
+        await fs.writeFile(`${file}.lock`, '');
+        // turns stale while waiting
+        const crashed = new Date(Date.now() - 19800);
+        await fs.utimes(`${file}.lock`, crashed, crashed);
+
+        const result = await new FileTokenCache(file).lock('key', async () => 'locked');
+        assert.strictEqual(result, 'locked');
+    });
+
+    it('should require a file path', () => {
+        assert.throws(() => new FileTokenCache(), /requires a file path/);
+    });
+});
@@ -0,0 +1,159 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const { validateRenditions, assertValidRenditions } = require('../lib/validate');
+const { ValidationError } = require('../lib/error');
+
+const TARGET = 'https://example.com/rendition.jpg';
+
+describe('validate.js tests', () => {
+    it('should accept valid renditions', () => {
+        assert.deepStrictEqual(validateRenditions([
+            { name: 'rendition.jpg', fmt: 'jpg', target: TARGET, wid: 200, hei: 100, qlt: 0, interlace: true, jpegSize: 10000 },
+            { name: 'rendition.png', fmt: 'png', url: TARGET, qlt: 100, dpi: 72, convertToDpi: { xdpi: 96, ydpi: 150 } },
+            { worker: 'https://example.com/worker', target: TARGET, userData: { custom: true } },
+            { fmt: 'xmp', target: TARGET, xmp: 'PHg6eG1wbWV0YT4=' },
+            { fmt: 'tif', target: { urls: [TARGET, TARGET], minPartSize: 1000, maxPartSize: 1000 } }
+        ]), []);
+    });
+
+    it('should require a non-empty renditions array', () => {
+        assert.deepStrictEqual(validateRenditions([]), ['renditions must be a non-empty array']);
+        assert.deepStrictEqual(validateRenditions(undefined), ['renditions must be a non-empty array']);
+        assert.deepStrictEqual(validateRenditions([null]), ['renditions[0]: must be an object']);
+    });
+
+    it('should report mistyped properties', () => {
+        assert.deepStrictEqual(validateRenditions([
+            { format: 'png', width: 200, height: 200, quality: 90, target: TARGET }
+        ]), [
+            "renditions[0]: unknown property 'width', did you mean 'wid'?",
+            "renditions[0]: unknown property 'height', did you mean 'hei'?",
+            "renditions[0]: unknown property 'quality', did you mean 'qlt'?",
+            "renditions[0]: unknown property 'format', did you mean 'fmt'?",
+            'renditions[0]: either fmt or worker is required'
+        ]);
+    });
+
+    it('should require fmt or worker', () => {
+        assert.deepStrictEqual(validateRenditions([
+            { target: TARGET },
+            { fmt: '', target: TARGET },
+            { worker: 42, target: TARGET }
+        ]), [
+            'renditions[0]: either fmt or worker is required',
+            'renditions[1]: fmt must be a non-empty string',
+            'renditions[2]: worker must be the URL of a custom worker'
+        ]);
+    });
+
+    it('should require exactly one of target or url', () => {
+        assert.deepStrictEqual(validateRenditions([
+            { fmt: 'png' },
+            { fmt: 'png', target: TARGET, url: TARGET },
+            { fmt: 'png', target: '' },
+            { fmt: 'png', url: 42 },
+            { fmt: 'png', target: 42 }
+        ]), [
+            'renditions[0]: either target or url is required',
+            'renditions[1]: only one of target or url is allowed',
+            'renditions[2]: target must not be empty',
+            'renditions[3]: url must be a non-empty string',
+            'renditions[4]: target must be a URL or a multipart target with urls'
+        ]);
+    });
+
+    it('should validate multipart targets', () => {
+        assert.deepStrictEqual(validateRenditions([
+            { fmt: 'png', target: { urls: [] } },
+            { fmt: 'png', target: { urls: [TARGET, 1] } },
+            { fmt: 'png', target: { urls: [TARGET], minPartSize: 0, maxPartSize: 1.5 } },
+            { fmt: 'png', target: { urls: [TARGET], minPartSize: 2000, maxPartSize: 1000 } }
+        ]), [
+            'renditions[0]: target.urls must be a non-empty array of URLs',
+            'renditions[1]: target.urls must only contain URLs',
+            'renditions[2]: target.minPartSize must be a positive integer',
+            'renditions[2]: target.maxPartSize must be a positive integer',
+            'renditions[3]: target.minPartSize must not be larger than target.maxPartSize'
+        ]);
+    });
+
+    it('should validate image options', () => {
+        assert.deepStrictEqual(validateRenditions([
+            { fmt: 'jpg', target: TARGET, wid: -1, hei: '100', qlt: 101, jpegSize: 0, interlace: 'yes', xmp: {} },
+            { fmt: 'jpg', target: TARGET, qlt: -1 },
+            { fmt: 'jpg', target: TARGET, qlt: '90' }
+        ]), [
+            'renditions[0]: wid must be a positive integer',
+            'renditions[0]: hei must be a positive integer',
+            'renditions[0]: qlt must be a number between 0 and 100',
+            'renditions[0]: jpegSize must be a positive integer',
+            'renditions[0]: interlace must be a boolean',
+            'renditions[0]: xmp must be a base64 encoded string',
+            'renditions[1]: qlt must be a number between 0 and 100',
+            'renditions[2]: qlt must be a number between 0 and 100'
+        ]);
+    });
+
+    it('should validate dpi and convertToDpi', () => {
+        assert.deepStrictEqual(validateRenditions([
+            { fmt: 'jpg', target: TARGET, dpi: 0, convertToDpi: '72' },
+            { fmt: 'jpg', target: TARGET, dpi: { xdpi: 72 }, convertToDpi: { xdpi: -1, ydpi: 72 } }
+        ]), [
+            'renditions[0]: dpi must be a positive number or an object with xdpi and ydpi',
+            'renditions[0]: convertToDpi must be a positive number or an object with xdpi and ydpi',
+            'renditions[1]: dpi.ydpi must be a positive number',
+            'renditions[1]: convertToDpi.xdpi must be a positive number'
+        ]);
+    });
+
+    it('should validate rendition ids', () => {
+        assert.deepStrictEqual(validateRenditions([
+            { id: 'thumbnail', fmt: 'jpg', target: TARGET },
+            { id: 42, fmt: 'png', target: TARGET }
+        ]), []);
+        assert.deepStrictEqual(validateRenditions([
+            { id: '', fmt: 'jpg', target: TARGET },
+            { id: 'a', fmt: 'jpg', target: TARGET },
+            { id: 'a', fmt: 'png', target: TARGET },
+            { fmt: 'png', target: TARGET }
+        ]), [
+            'renditions[0]: id must be a non-empty string or a number',
+            "renditions[2]: duplicate id 'a'",
+            'renditions: either all or none of the renditions must have an id'
+        ]);
+    });
+
+    it('should throw a ValidationError listing all problems', () => {
+        assert.throws(() => assertValidRenditions([
+            { fmt: 'png', width: 100, target: TARGET },
+            { fmt: 'png' }
+        ]), error => {
+            assert.ok(error instanceof ValidationError);
+            assert.strictEqual(error.status, undefined);
+            assert.strictEqual(error.retryable, false);
+            assert.deepStrictEqual(error.errors, [
+                "renditions[0]: unknown property 'width', did you mean 'wid'?",
+                'renditions[1]: either target or url is required'
+            ]);
+            assert.strictEqual(error.message, "Invalid renditions: renditions[0]: unknown property 'width', did you mean 'wid'?; renditions[1]: either target or url is required");
+            return true;
+        });
+        assertValidRenditions([{ fmt: 'png', target: TARGET }]);
+    });
+});
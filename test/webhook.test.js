@@ -0,0 +1,224 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const mockRequire = require('mock-require');
+const nock = require('nock');
+const { AssetComputeWebhookEventEmitter } = require('../lib/webhook');
+
+const DEFAULT_INTEGRATION = {
+    applicationId: 72515,
+    consumerId: 105979,
+    metascopes: ['mocked-metascope-1'],
+    technicalAccount: {
+        id: 'id',
+        org: 'org',
+        clientId: 'clientId',
+        clientSecret: 'clientSecret',
+        privateKey: 'privateKey'
+    },
+    imsEndpoint: 'https://mocked-ims-endpoint.com'
+};
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+function sign(body, key=privateKey) {
+    return crypto.createSign('RSA-SHA256').update(body).sign(key, 'base64');
+}
+
+function request(port, method, path, body, headers={}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port, method, path, headers }, res => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+describe('webhook.js tests', () => {
+    let webhook;
+    let server;
+    let port;
+
+    beforeEach(async () => {
+        webhook = new AssetComputeWebhookEventEmitter({ clientId: 'clientId', clientSecret: 'secret' });
+        server = http.createServer(webhook.handler());
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+        nock.cleanAll();
+    });
+
+    it('should answer the challenge', async () => {
+        const response = await request(port, 'GET', '/webhook?challenge=abc123');
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body, { challenge: 'abc123' });
+
+        assert.strictEqual((await request(port, 'GET', '/webhook')).status, 400);
+        assert.strictEqual((await request(port, 'PUT', '/webhook')).status, 405);
+    });
+
+    it('should emit events with a valid digital signature', async () => {
+        nock('https://static.adobeioevents.com')
+            .get('/prod/keys/pub-key-1.pem')
+            .reply(200, publicKey);
+
+        const events = [];
+        webhook.on('rendition_created', event => events.push(event));
+
+        const body = JSON.stringify({
+            event_id: '1',
+            recipient_client_id: 'clientId',
+            event: { type: 'rendition_created', requestId: '1234' }
+        });
+        const headers = {
+            'x-adobe-digital-signature-1': sign(body),
+            'x-adobe-public-key1-path': '/prod/keys/pub-key-1.pem'
+        };
+        let response = await request(port, 'POST', '/webhook', body, headers);
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(events, [{ type: 'rendition_created', requestId: '1234' }]);
+
+        // public key is cached
+        response = await request(port, 'POST', '/webhook', body, headers);
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(events.length, 2);
+        assert.ok(nock.isDone());
+    });
+
+    it('should reject invalid signatures', async () => {
+        nock('https://static.adobeioevents.com')
+            .get('/prod/keys/pub-key-1.pem')
+            .reply(200, publicKey);
+
+        const errors = [];
+        webhook.on('error', error => errors.push(error));
+        webhook.on('rendition_created', () => assert.fail('must not emit events'));
+
+        const body = JSON.stringify({ event: { type: 'rendition_created' } });
+        const other = crypto.generateKeyPairSync('rsa', {
+            modulusLength: 2048,
+            privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+            publicKeyEncoding: { type: 'spki', format: 'pem' }
+        });
+        let response = await request(port, 'POST', '/webhook', body, {
+            'x-adobe-digital-signature-1': sign(body, other.privateKey),
+            'x-adobe-public-key1-path': '/prod/keys/pub-key-1.pem'
+        });
+        assert.strictEqual(response.status, 401);
+
+        response = await request(port, 'POST', '/webhook', body, {
+            'x-adobe-digital-signature-1': sign(body),
+            'x-adobe-public-key1-path': '//attacker.example.com/key.pem'
+        });
+        assert.strictEqual(response.status, 401);
+
+        response = await request(port, 'POST', '/webhook', body);
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(errors.length, 3);
+    });
+
+    it('should verify the legacy HMAC signature and the recipient', async () => {
+        const events = [];
+        webhook.on('rendition_failed', event => events.push(event));
+
+        let body = JSON.stringify([
+            { recipient_client_id: 'clientId', event: { type: 'rendition_failed', requestId: '1' } },
+            { recipient_client_id: 'clientId', event: { type: 'rendition_failed', requestId: '2' } }
+        ]);
+        const hmac = body => crypto.createHmac('sha256', 'secret').update(body).digest('base64');
+        let response = await request(port, 'POST', '/webhook', body, { 'x-adobe-signature': hmac(body) });
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(events.map(e => e.requestId), ['1', '2']);
+
+        response = await request(port, 'POST', '/webhook', body, { 'x-adobe-signature': hmac('other') });
+        assert.strictEqual(response.status, 401);
+
+        body = JSON.stringify({ recipient_client_id: 'otherClientId', event: { type: 'rendition_failed' } });
+        response = await request(port, 'POST', '/webhook', body, { 'x-adobe-signature': hmac(body) });
+        assert.strictEqual(response.status, 403);
+        assert.strictEqual(events.length, 2);
+    });
+
+    it('should be used by the client instead of the journal', async () => {
+        mockRequire("@adobe/asset-compute-events-client", {
+            AdobeAuth: class AdobeAuthMock {
+                createAccessToken() {
+                    return '123456';
+                }
+            },
+            AdobeIOEvents: class AdobeIOEventsMock {},
+            AdobeIOEventEmitter: class AdobeIOEventEmitterMock {
+                constructor() {
+                    assert.fail('must not poll the journal');
+                }
+            }
+        });
+        mockRequire.reRequire("../lib/eventemitter");
+        const { AssetComputeClient } = mockRequire.reRequire("../lib/client");
+
+        nock('https://asset-compute.adobe.io')
+            .post('/register')
+            .reply(200, {
+                'ok': true,
+                'journal': 'https://api.adobe.io/events/organizations/journal/12345'
+            });
+        nock('https://asset-compute.adobe.io')
+            .post('/process')
+            .reply(200, {
+                'ok': true,
+                'requestId': '3214'
+            });
+
+        try {
+            webhook.verifySignature = false;
+            const client = new AssetComputeClient(DEFAULT_INTEGRATION, { webhook });
+            await client.register();
+            const { requestId } = await client.process({ url: 'https://example.com/dog.jpg' }, [{
+                fmt: 'jpg',
+                url: 'https://example.com/rendition.jpg'
+            }]);
+            const waitPromise = client.waitActivation(requestId, 1000);
+
+            const userData = { assetComputeClient: { id: client.id, index: 0, length: 1 } };
+            const response = await request(port, 'POST', '/webhook', JSON.stringify({
+                event: { type: 'rendition_created', requestId, userData, rendition: { userData } }
+            }));
+            assert.strictEqual(response.status, 200);
+            const events = await waitPromise;
+            assert.strictEqual(events[0].type, 'rendition_created');
+
+            // closing the client stops forwarding, the webhook stays usable
+            await client.close();
+            assert.strictEqual(webhook.listenerCount('rendition_created'), 0);
+        } finally {
+            mockRequire.stopAll();
+        }
+    });
+});